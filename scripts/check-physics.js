@@ -0,0 +1,45 @@
+// scripts/check-physics.js
+// Runs the physics consistency checks (src/lib/physics.js) over rollout files and exits
+// non-zero when any frame diverges beyond the tolerance.
+//
+// Usage: node scripts/check-physics.js <file...> [--tol 1e-5] [--dt 0.01] [--mu 1] [--r-target 1] [--verbose]
+import { readColumnarEpisodes } from "./rollout-io.js";
+import { DEFAULT_PHYSICS_CONFIG, PHYSICS_CHECKS, checkEpisode } from "../src/lib/physics.js";
+
+const FLAGS = { "--tol": "tol", "--dt": "dt", "--mu": "mu", "--r-target": "rTarget" };
+
+const files = [];
+const config = { ...DEFAULT_PHYSICS_CONFIG };
+let verbose = false;
+const args = process.argv.slice(2);
+for (let k = 0; k < args.length; k++) {
+  if (FLAGS[args[k]]) config[FLAGS[args[k]]] = Number(args[++k]);
+  else if (args[k] === "--verbose") verbose = true;
+  else files.push(args[k]);
+}
+if (files.length === 0 || Object.values(config).some((x) => !Number.isFinite(x))) {
+  console.error("Usage: node scripts/check-physics.js <file...> [--tol 1e-5] [--dt 0.01] [--mu 1] [--r-target 1] [--verbose]");
+  process.exit(1);
+}
+
+let failed = 0;
+for (const file of files) {
+  const episodes = readColumnarEpisodes(file);
+  episodes.forEach((ep, e) => {
+    const res = checkEpisode(ep, config);
+    console.log(`${file} ep ${e}: ${res.frames} frames — ${res.ok ? "OK" : "FAILED"}`);
+    for (const name of PHYSICS_CHECKS) {
+      const c = res.checks[name];
+      if (!c.checked || (res.ok && !verbose)) continue;
+      const mark = c.flagged ? "✗" : "✓";
+      console.log(`  ${mark} ${name.padEnd(10)} max ${c.maxErr.toExponential(2)} @ ${c.maxAt}  flagged ${c.flagged}/${c.checked}`);
+    }
+    if (verbose) {
+      for (const i of res.issues) {
+        console.log(`    t=${i.t} ${i.check}: expected ${i.expected.toPrecision(8)}, got ${i.actual.toPrecision(8)} (Δ ${i.err.toExponential(2)})`);
+      }
+    }
+    if (!res.ok) failed++;
+  });
+}
+process.exit(failed ? 1 : 0);
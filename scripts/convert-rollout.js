@@ -0,0 +1,17 @@
+// scripts/convert-rollout.js
+// Converts rollout files between formats, picked from the file extensions
+// (.json, .ndjson/.jsonl, .orb — see scripts/rollout-io.js).
+//
+// Usage: node scripts/convert-rollout.js <in> <out>
+import { readEpisodes, writeEpisodes } from "./rollout-io.js";
+
+const [input, output] = process.argv.slice(2);
+if (!input || !output) {
+  console.error("Usage: node scripts/convert-rollout.js <in.json|.ndjson|.orb> <out.json|.ndjson|.orb>");
+  process.exit(1);
+}
+
+const episodes = readEpisodes(input);
+writeEpisodes(output, episodes);
+const frames = episodes.reduce((n, ep) => n + ep.length, 0);
+console.log(`${input} → ${output}: ${episodes.length} episode(s), ${frames} frames`);
@@ -0,0 +1,97 @@
+// scripts/mock-trainer.js
+// Stand-in for a training process: rolls out episodes in the JS port of the environment
+// (src/lib/orbitalEnv.js) with a controller that gets less noisy every episode, and publishes
+// each finished episode plus learning-curve scalars to the telemetry endpoint (server/telemetry.js).
+//
+// Usage: node scripts/mock-trainer.js [--url http://localhost:8787] [--run mock-ppo] [--episodes 40]
+//                                     [--steps 1500] [--interval 1500] [--seed 1] [--keep]
+// Sends TELEMETRY_TOKEN from the environment, if set, as the publish token.
+import { createOrbitalEnv, initialState } from "../src/lib/orbitalEnv.js";
+import { rtnBasis, fromRTN } from "../src/lib/orbits.js";
+
+const opts = { url: "http://localhost:8787", run: "mock-ppo", episodes: 40, steps: 1500, interval: 1500, seed: 1, keep: false };
+const args = process.argv.slice(2);
+for (let k = 0; k < args.length; k++) {
+  const key = args[k].replace(/^--/, "");
+  if (key === "keep") opts.keep = true;
+  else if (key in opts) opts[key] = typeof opts[key] === "number" ? Number(args[++k]) : args[++k];
+  else {
+    console.error(`Unknown option ${args[k]}\nUsage: node scripts/mock-trainer.js [--url URL] [--run NAME] [--episodes N] [--steps N] [--interval MS] [--seed N] [--keep]`);
+    process.exit(1);
+  }
+}
+
+// Small deterministic PRNG so runs are repeatable
+let seed = opts.seed >>> 0 || 1;
+const rand = () => ((seed = (seed * 1664525 + 1013904223) >>> 0) / 2 ** 32);
+const gauss = () => Math.sqrt(-2 * Math.log(rand() + 1e-12)) * Math.cos(2 * Math.PI * rand());
+
+async function post(path, body, method = "POST") {
+  const res = await fetch(opts.url + path, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(process.env.TELEMETRY_TOKEN && { Authorization: `Bearer ${process.env.TELEMETRY_TOKEN}` }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw new Error(`${method} ${path}: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+/**
+ * One episode with a simple station-keeping controller (tangential thrust drives the orbital energy
+ * to the target orbit's, radial thrust damps v_rad) blended with noise by `skill` ∈ [0, 1]
+ */
+function rollout(skill) {
+  const env = createOrbitalEnv({ maxSteps: opts.steps, actionScale: "raw" });
+  const cfg = env.config;
+  const targetEnergy = -cfg.mu / (2 * cfg.rTarget);
+  env.reset(initialState({
+    radius: 1 + 0.08 * gauss(),
+    speedFactor: 1 + 0.04 * gauss(),
+    inclinationDeg: 2 * gauss(),
+    phaseDeg: 360 * rand(),
+  }));
+  const frames = [];
+  let state = null;
+  for (;;) {
+    let u = [0, 0, 0];
+    if (state) {
+      const basis = rtnBasis(state.r, state.v);
+      const control = fromRTN([-state.v_rad, -2 * (state.E - targetEnergy), 0], basis);
+      u = control.map((c) => skill * c + (1 - skill) * cfg.thrustMax * gauss());
+    }
+    const { frame, done, reason } = env.step(u);
+    frames.push(frame);
+    state = frame;
+    if (done) return { frames, reason };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+if (!opts.keep) await post(`/api/telemetry/runs/${encodeURIComponent(opts.run)}`, null, "DELETE");
+let envSteps = 0;
+for (let i = 0; i < opts.episodes; i++) {
+  const skill = 1 - Math.exp(-i / (opts.episodes / 4));
+  const { frames, reason } = rollout(skill);
+  envSteps += frames.length;
+  const episodeReturn = frames.reduce((s, f) => s + f.reward, 0);
+  const fuel = frames.reduce((s, f) => s + Math.hypot(...f.thrust), 0);
+
+  await post("/api/telemetry/episode", { run: opts.run, frames, meta: { iteration: i, reason } });
+  await post("/api/telemetry/scalars", {
+    run: opts.run,
+    points: [{
+      step: envSteps,
+      episode_return: episodeReturn,
+      fuel,
+      episode_length: frames.length,
+      entropy: 1.4 * (1 - skill) + 0.05 * gauss(),
+      value_loss: 0.5 * Math.exp(-i / 8) + 0.02 * Math.abs(gauss()),
+    }],
+  });
+  console.log(`${opts.run} ep ${i}: ${frames.length} steps (${reason}), return ${episodeReturn.toFixed(2)}, fuel ${fuel.toFixed(3)}`);
+  if (i < opts.episodes - 1) await sleep(opts.interval);
+}
@@ -0,0 +1,48 @@
+// scripts/rollout-io.js
+// Node-side rollout file reading/writing, picked from the file extension:
+//   .json    { "schema_version", "episodes": [[frame, ...], ...] }
+//   .ndjson  a { "schema_version" } line, then one frame per line with `ep` = episode index
+//   .orb     columnar float32 binary (src/lib/rolloutBinary.js)
+// Written files are stamped with the current rollout schema version (src/lib/rolloutSchema.js).
+import fs from "node:fs";
+import { columnsToFrames, framesToColumns } from "../src/lib/rolloutColumns.js";
+import { decodeRolloutBinary, encodeRolloutBinary } from "../src/lib/rolloutBinary.js";
+import { ROLLOUT_SCHEMA_VERSION } from "../src/lib/rolloutSchema.js";
+
+/** → [[frame, ...], ...] */
+export function readEpisodes(file) {
+  if (/\.orb$/i.test(file)) return decodeRolloutBinary(fs.readFileSync(file)).map(columnsToFrames);
+  const text = fs.readFileSync(file, "utf8");
+  if (/\.(ndjson|jsonl)$/i.test(file)) {
+    const episodes = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      const { ep = 0, ...frame } = JSON.parse(line);
+      if (frame.r == null && "schema_version" in frame) continue; // header line
+      (episodes[ep] ??= []).push(frame);
+    }
+    return Array.from(episodes, (ep) => ep || []);
+  }
+  return JSON.parse(text).episodes || [];
+}
+
+/** → columnar episodes (float32 views for .orb, float64 otherwise) */
+export function readColumnarEpisodes(file) {
+  if (/\.orb$/i.test(file)) return decodeRolloutBinary(fs.readFileSync(file));
+  return readEpisodes(file).map((frames) => framesToColumns(frames, Float64Array));
+}
+
+export function writeEpisodes(file, episodes) {
+  if (/\.orb$/i.test(file)) {
+    fs.writeFileSync(file, encodeRolloutBinary(episodes.map((frames) => framesToColumns(frames))));
+  } else if (/\.(ndjson|jsonl)$/i.test(file)) {
+    const out = fs.openSync(file, "w");
+    fs.writeSync(out, JSON.stringify({ schema_version: ROLLOUT_SCHEMA_VERSION }) + "\n");
+    episodes.forEach((frames, ep) => {
+      for (const f of frames) fs.writeSync(out, JSON.stringify({ ep, ...f }) + "\n");
+    });
+    fs.closeSync(out);
+  } else {
+    fs.writeFileSync(file, JSON.stringify({ schema_version: ROLLOUT_SCHEMA_VERSION, episodes }, null, 2) + "\n");
+  }
+}
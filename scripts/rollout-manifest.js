@@ -0,0 +1,27 @@
+// scripts/rollout-manifest.js
+// Rebuilds public/rollouts/manifest.json from the files in public/rollouts/.
+// Labels already present in the manifest are kept; new files get their basename.
+import fs from "node:fs";
+import path from "node:path";
+
+const dir = path.resolve(process.argv[2] || "public/rollouts");
+const manifestPath = path.join(dir, "manifest.json");
+
+let previous = [];
+try {
+  previous = JSON.parse(fs.readFileSync(manifestPath, "utf8")).runs || [];
+} catch {
+  // first run or unreadable manifest — start fresh
+}
+const labels = new Map(previous.map((r) => [r.file, r.label]));
+
+const runs = fs.readdirSync(dir)
+  .filter((f) => /\.(json|ndjson|jsonl|orb)$/.test(f) && f !== "manifest.json")
+  .sort()
+  .map((file) => {
+    const id = file.replace(/\.(json|ndjson|jsonl|orb)$/, "");
+    return { id, label: labels.get(file) || id, file };
+  });
+
+fs.writeFileSync(manifestPath, JSON.stringify({ runs }, null, 2) + "\n");
+console.log(`manifest: ${runs.length} run(s) → ${manifestPath}`);
@@ -3,11 +3,14 @@ import express from "express";
 import cors from "cors";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
+import { telemetryRouter } from "./telemetry.js";
 dotenv.config();
 
 const app = express();
-app.use(cors());
 app.use(express.json({ limit: "2mb" }));
+// Mounted before cors(): publishing is for training processes, not for pages on other origins
+app.use("/api/telemetry", telemetryRouter());
+app.use(cors());
 
 const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
 const MODEL = "gpt-4o-mini";
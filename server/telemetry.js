@@ -0,0 +1,111 @@
+// server/telemetry.js
+// Live training telemetry: training processes POST finished episodes and learning-curve
+// scalars, browsers subscribe over Server-Sent Events. Recent history is kept in memory per
+// run so a page opened mid-training starts with what has been published so far.
+//
+//   POST   /api/telemetry/episode   { run, frames: [{ r, v, thrust, ... }], meta? }
+//   POST   /api/telemetry/scalars   { run, points: [{ step, ...scalars }] }  (or one point: { run, step, ... })
+//   DELETE /api/telemetry/runs/:run  forget a run (e.g. when training restarts)
+//   GET    /api/telemetry           { runs: [{ run, episodes, scalars }] } counts
+//   GET    /api/telemetry/stream    SSE: "hello" { runs }, then "episode" / "scalars" / "reset" events
+//
+// Publishing (POST / DELETE) needs `Authorization: Bearer <TELEMETRY_TOKEN>` when the server has
+// a TELEMETRY_TOKEN; without one, only processes on this machine (loopback) may publish. Bodies
+// go through the server's normal JSON parser and its size limit, and what is kept is capped.
+import express from "express";
+
+const MAX_RUNS = 8;         // oldest run is forgotten beyond this
+const MAX_EPISODES = 20;    // per run, replayed to new subscribers
+const MAX_FRAMES = 5000;    // per episode
+const MAX_SCALARS = 20000;  // points per run
+const HEARTBEAT_MS = 15000;
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+const isRunName = (x) => typeof x === "string" && x.length > 0 && x.length <= 100;
+
+export function telemetryRouter({ token = process.env.TELEMETRY_TOKEN } = {}) {
+  const router = express.Router();
+  const runs = new Map(); // run → { episodes: [{ index, frames, meta }], scalars: [], count }
+  const clients = new Set();
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (event, data) => clients.forEach((res) => send(res, event, data));
+  const runState = (run) => {
+    if (!runs.has(run)) {
+      if (runs.size >= MAX_RUNS) {
+        const oldest = runs.keys().next().value;
+        runs.delete(oldest);
+        broadcast("reset", { run: oldest });
+      }
+      runs.set(run, { episodes: [], scalars: [], count: 0 });
+    }
+    return runs.get(run);
+  };
+
+  const canPublish = (req, res, next) => {
+    const ok = token
+      ? req.get("authorization") === `Bearer ${token}`
+      : LOOPBACK.has(req.socket.remoteAddress);
+    if (ok) return next();
+    res.status(token ? 401 : 403).json({
+      error: token ? "missing or wrong telemetry token" : "publishing is only allowed from this machine (set TELEMETRY_TOKEN to allow others)",
+    });
+  };
+
+  router.get("/stream", (req, res) => {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.flushHeaders();
+    send(res, "hello", { runs: [...runs.keys()] });
+    for (const [run, state] of runs) {
+      for (const ep of state.episodes) send(res, "episode", { run, ...ep });
+      if (state.scalars.length) send(res, "scalars", { run, points: state.scalars });
+    }
+    clients.add(res);
+    const ping = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(ping);
+      clients.delete(res);
+    });
+  });
+
+  router.post("/episode", canPublish, (req, res) => {
+    const { run, frames, meta = null } = req.body || {};
+    if (!isRunName(run)) return res.status(400).json({ error: "`run` must be a non-empty string" });
+    if (!Array.isArray(frames) || frames.length === 0) return res.status(400).json({ error: "`frames` must be a non-empty array" });
+    if (frames.length > MAX_FRAMES) return res.status(413).json({ error: `at most ${MAX_FRAMES} frames per episode` });
+    const state = runState(run);
+    const ep = { index: state.count++, frames, meta };
+    state.episodes.push(ep);
+    if (state.episodes.length > MAX_EPISODES) state.episodes.shift();
+    broadcast("episode", { run, ...ep });
+    res.json({ ok: true, index: ep.index });
+  });
+
+  router.post("/scalars", canPublish, (req, res) => {
+    const { run, points, ...single } = req.body || {};
+    if (!isRunName(run)) return res.status(400).json({ error: "`run` must be a non-empty string" });
+    const list = (Array.isArray(points) ? points : [single]).filter((p) => p && Number.isFinite(p.step));
+    if (list.length === 0) return res.status(400).json({ error: "expected points with a numeric `step`" });
+    const state = runState(run);
+    state.scalars.push(...list);
+    if (state.scalars.length > MAX_SCALARS) state.scalars.splice(0, state.scalars.length - MAX_SCALARS);
+    broadcast("scalars", { run, points: list });
+    res.json({ ok: true, count: list.length });
+  });
+
+  router.delete("/runs/:run", canPublish, (req, res) => {
+    const existed = runs.delete(req.params.run);
+    if (existed) broadcast("reset", { run: req.params.run });
+    res.json({ ok: true, existed });
+  });
+
+  router.get("/", (req, res) => {
+    res.json({
+      runs: [...runs].map(([run, s]) => ({ run, episodes: s.count, scalars: s.scalars.length })),
+      clients: clients.size,
+    });
+  });
+
+  return router;
+}
@@ -1,37 +1,43 @@
 // src/App.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import MissionModal from "./components/MissionModal.jsx";
 import ExplainPanel from "./components/ExplainPanel.jsx";
 import Scene3D from "./Scene3D.jsx";
-import { SparklineRow } from "./components/Sparklines.jsx";
-import Badges from "./components/Badges.jsx";
+import ComparePanel from "./components/ComparePanel.jsx";
+import ChartPanel from "./components/ChartPanel.jsx";
+import RewardPanel from "./components/RewardPanel.jsx";
+import LearningCurvePanel from "./components/LearningCurvePanel.jsx";
+import EpisodeTable from "./components/EpisodeTable.jsx";
+import ABReportPanel from "./components/ABReportPanel.jsx";
+import PhysicsPanel from "./components/PhysicsPanel.jsx";
+import ManeuverPanel from "./components/ManeuverPanel.jsx";
+import ThrustRTNPanel from "./components/ThrustRTNPanel.jsx";
+import WhatIfPanel from "./components/WhatIfPanel.jsx";
+import PolicyPanel from "./components/PolicyPanel.jsx";
+import LivePanel from "./components/LivePanel.jsx";
+import SplitView from "./components/SplitView.jsx";
+import Timeline from "./components/Timeline.jsx";
+import CameraBar from "./components/CameraBar.jsx";
+import CapturePanel from "./components/CapturePanel.jsx";
+import AlignmentControls from "./components/AlignmentControls.jsx";
+import RolloutLibrary from "./components/RolloutLibrary.jsx";
+import RolloutIssues from "./components/RolloutIssues.jsx";
+import { useRolloutLibrary } from "./components/useRolloutLibrary.js";
+import { runColor } from "./components/runColors.js";
+import { useRollouts } from "./components/useRollouts.js";
+import { useLiveTelemetry } from "./components/useLiveTelemetry.js";
+import { EMPTY_EPISODE, frameAt, hasState } from "./lib/rolloutColumns.js";
+import { analyzeEpisode, missionToConfig } from "./lib/analytics.js";
+import { propagateWhatIf, rescoreEpisode } from "./lib/propagator.js";
+import { missionToEnvConfig } from "./lib/orbitalEnv.js";
+import { orbitalElements } from "./lib/orbits.js";
+import { ALIGN_MODES, createAligner } from "./lib/alignment.js";
 
 /** ---------------- Utils ---------------- */
 const clamp = (x, a, b) => Math.min(Math.max(x, a), b);
-const vecLen = (v) => Math.hypot(v[0], v[1], v[2]);
-const cross = (a, b) => [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
-
-function orbitalElements(r, v, mu = 1.0) {
-  const rmag = vecLen(r);
-  const vmag = vecLen(v);
-  const h = cross(r, v);
-  const hmag = vecLen(h);
-  const energy = 0.5 * vmag * vmag - mu / rmag;
-  const a = -mu / (2 * energy);
-  const vxh = cross(v, h);
-  const evec = [vxh[0]/mu - r[0]/rmag, vxh[1]/mu - r[1]/rmag, vxh[2]/mu - r[2]/rmag];
-  const e = vecLen(evec);
-  return { a, e, hmag, energy };
-}
+const deg = (rad) => (rad != null ? `${(rad * 180 / Math.PI).toFixed(1)}°` : "—");
 
 /** -------------- Data loaders -------------- */
-async function loadRollout(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch rollout: ${res.status}`);
-  const json = await res.json();
-  return json.episodes || [];
-}
-
 async function loadPlanets(url) {
   try {
     const res = await fetch(url);
@@ -50,133 +56,15 @@ async function loadPlanets(url) {
   }
 }
 
-/** -------------- Station-keeping quick metrics -------------- */
-function stationKeepingErrors(frame, R0 = 1.0) {
-  if (!frame) return null;
-  const r = frame.r, v = frame.v;
-  const rmag = Math.hypot(r[0], r[1], r[2]);
-  const r_hat = [r[0]/(rmag+1e-9), r[1]/(rmag+1e-9), r[2]/(rmag+1e-9)];
-  const v_rad = v[0]*r_hat[0] + v[1]*r_hat[1] + v[2]*r_hat[2];
-  const vmag = Math.hypot(v[0], v[1], v[2]);
-  const v_tan = Math.sqrt(Math.max(0, vmag*vmag - v_rad*v_rad));
-  const mu = 1.0;
-  const v_circ = Math.sqrt(mu / Math.max(1e-9, R0));
-  return { rmag, pos_err: rmag - R0, v_rad, v_tan, v_tan_err: v_tan - v_circ, v_circ };
-}
-
-/** -------------- Rollout hook (A/B) with robust capture -------------- */
-function useRollout(url, tolR = 0.05, tolV = 0.05, thrustSpike = 0.02) {
-  const [episodes, setEpisodes] = useState([]);
-  const [metrics, setMetrics] = useState([]);
-
-  useEffect(() => {
-    let cancelled = false;
-    (async () => {
-      try {
-        const eps = await loadRollout(url);
-        if (cancelled) return;
-        setEpisodes(eps);
-
-        const mets = eps.map((frames) => {
-          let rewardSum = 0;
-          let fuelSum = 0;
-          let capturedAt = null;
-          let inTolCount = 0;
-          const events = [];
-          const spark = { reward: [], fuel: [], posErr: [], vTanErr: [] };
-
-          const K = 30; // consecutive frames to declare capture
-          let tolStreak = 0;
-          let seenOut = false;
-
-          frames.forEach((f, idx) => {
-            const thr = f.thrust ? Math.hypot(...f.thrust) : 0;
-            const posErr = f.pos_err ?? (Math.hypot(...f.r) - 1.0);
-            const vtanErr = f.v_tan_err ?? (() => {
-              const er = stationKeepingErrors(f, 1.0);
-              return er?.v_tan_err ?? 0;
-            })();
-
-            rewardSum += (f.reward ?? 0);
-            fuelSum += thr;
-            if (thr > thrustSpike) events.push({ t: idx, type: "thrust" });
-
-            const inTol = posErr <= tolR && Math.abs(vtanErr) <= tolV;
-            if (inTol) {
-              inTolCount++;
-              tolStreak++;
-              if (seenOut && capturedAt == null && tolStreak >= K) {
-                capturedAt = idx - K + 1;
-                events.push({ t: capturedAt, type: "entered_tol" });
-              }
-            } else {
-              tolStreak = 0;
-              seenOut = true;
-            }
-
-            spark.reward.push({ x: idx, y: f.reward ?? 0 });
-            spark.fuel.push({ x: idx, y: thr });
-            spark.posErr.push({ x: idx, y: posErr });
-            spark.vTanErr.push({ x: idx, y: vtanErr });
-          });
-
-          const len = frames.length;
-          const pctInTol = len > 0 ? inTolCount / len : 0;
-
-          return { rewardSum, fuelSum, capturedAt, events, len, pctInTol, spark };
-        });
-
-        if (!cancelled) setMetrics(mets);
-      } catch (e) {
-        console.error("loadRollout failed", e);
-        setEpisodes([]);
-        setMetrics([]);
-      }
-    })();
-    return () => { cancelled = true; };
-  }, [url, tolR, tolV, thrustSpike]);
-
-  return { episodes, metrics };
-}
-
-/** -------------- Timeline w/ markers -------------- */
-function Timeline({ max, value, onChange, events = [] }) {
-  const pct = (t) => (max > 0 ? (t / max) * 100 : 0);
-  return (
-    <div className="w-full">
-      <div className="relative h-6">
-        {events.map((ev, i) => (
-          <button
-            key={i}
-            title={ev.type}
-            onClick={() => onChange(ev.t)}
-            className={`absolute top-1 h-4 w-1 ${ev.type === "thrust" ? "bg-sky-400" : "bg-emerald-400"}`}
-            style={{ left: `calc(${pct(ev.t)}% - 1px)` }}
-          />
-        ))}
-      </div>
-      <input
-        type="range"
-        min={0}
-        max={Math.max(0, max)}
-        value={value}
-        onChange={(e) => onChange(Number(e.target.value))}
-        className="w-full"
-      />
-      <div className="text-xs text-slate-400 mt-1">Frame {value}/{max}</div>
-    </div>
-  );
-}
-
 /** ======= HEADER ======= */
-function Header({ split, setSplit, setShowMission }) {
+function Header({ split, setSplit, setShowMission, labels }) {
   return (
     <header className="w-full border-b border-white/10 bg-white/5 backdrop-blur sticky top-0 z-20">
       <div className="container py-3 flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-semibold tracking-tight">Orbital RL + Solar System</h1>
           <p className="text-slate-300 mt-0.5 text-xs md:text-sm">
-            Random (A) vs PPO (B) · Hotkeys: <kbd>b</kbd> A/B, <kbd>s</kbd> split, <kbd>space</kbd> play/pause, <kbd>←/→</kbd> step, <kbd>k</kbd> explain
+            {labels.join(" vs ")} · Hotkeys: <kbd>b</kbd> next run, <kbd>s</kbd> split, <kbd>space</kbd> play/pause, <kbd>←/→</kbd> step, <kbd>[</kbd>/<kbd>]</kbd> prev/next event, <kbd>k</kbd> explain
           </p>
         </div>
         <div className="flex items-center gap-2">
@@ -190,42 +78,52 @@ function Header({ split, setSplit, setShowMission }) {
 
 /** ======= BOX 1: Playback ======= */
 function PlaybackCard({
-  ab, setAb, split,
+  activeLabel, activeColor, runCount, onNextRun, split,
   playing, setPlaying, speed, setSpeed,
-  frameIdx, setFrameIdx, frames, eventsA,
+  frameIdx, setFrameIdx, frameCount, timelineRuns,
   showAgent, setShowAgent, showTrail, setShowTrail, showThrust, setShowThrust, showLabels, setShowLabels,
-  eccScale, setEccScale, thrustScale, setThrustScale
+  showRTN, setShowRTN, showTriad, setShowTriad,
+  showOrbit, setShowOrbit, overlay, setOverlay,
+  eccScale, setEccScale, thrustScale, setThrustScale, children
 }) {
   return (
     <div className="card h-full">
       <h2 className="section-title">Playback</h2>
       <div className="text-[11px] text-slate-300 mb-2">
-        Mode: <span className="font-semibold">{split ? "Split (A|B)" : (ab === "A" ? "Random (A)" : "PPO (B)")}</span> {!split && <span>— press <kbd>b</kbd></span>}
+        Mode: <span className="font-semibold" style={split ? undefined : { color: activeColor }}>{split ? `Split (${runCount} runs)` : activeLabel}</span> {!split && runCount > 1 && <span>— press <kbd>b</kbd></span>}
       </div>
       <div className="flex items-center gap-2">
         <button onClick={() => setPlaying(!playing)} className="btn">{playing ? "Pause" : "Play"}</button>
         <label className="text-sm">Speed</label>
         <input type="range" min="0.1" max="5" step="0.1" value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="w-32" />
         <span className="text-sm w-10 text-center">{speed.toFixed(1)}x</span>
-        {!split && (
-          <button onClick={() => setAb((p) => (p === "A" ? "B" : "A"))} className="btn ml-auto" title="Toggle A/B">Toggle A/B</button>
+        {!split && runCount > 1 && (
+          <button onClick={onNextRun} className="btn ml-auto" title="Show next run">Next run</button>
         )}
       </div>
 
       <div className="mt-3">
         <Timeline
-          max={Math.max(0, frames.length - 1)}
+          max={Math.max(0, frameCount - 1)}
           value={frameIdx}
           onChange={setFrameIdx}
-          events={eventsA || []}
+          runs={timelineRuns}
         />
       </div>
 
+      {children && <div className="mt-3">{children}</div>}
+
       <div className="flex flex-wrap items-center gap-4 mt-3 text-sm">
         <label className="check"><input type="checkbox" checked={showAgent} onChange={(e) => setShowAgent(e.target.checked)} /> Show agent</label>
         <label className="check"><input type="checkbox" checked={showTrail} onChange={(e) => setShowTrail(e.target.checked)} /> Show trail</label>
         <label className="check"><input type="checkbox" checked={showThrust} onChange={(e) => setShowThrust(e.target.checked)} /> Thrust</label>
+        <label className="check" title="Split the thrust arrow into radial (red) / tangential (green) / normal (blue)"><input type="checkbox" checked={showRTN} onChange={(e) => setShowRTN(e.target.checked)} /> RTN components</label>
+        <label className="check"><input type="checkbox" checked={showTriad} onChange={(e) => setShowTriad(e.target.checked)} /> RTN triad</label>
+        <label className="check"><input type="checkbox" checked={showOrbit} onChange={(e) => setShowOrbit(e.target.checked)} /> Osculating orbit</label>
         <label className="check"><input type="checkbox" checked={showLabels} onChange={(e) => setShowLabels(e.target.checked)} /> Planet labels</label>
+        {!split && runCount > 1 && (
+          <label className="check"><input type="checkbox" checked={overlay} onChange={(e) => setOverlay(e.target.checked)} /> Overlay runs</label>
+        )}
       </div>
 
       <div className="mt-4 space-y-2 text-sm">
@@ -266,6 +164,10 @@ function EpisodeCard({ episodes, activeEp, setActiveEp, elements }) {
       <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
         <div className="label">a (semi-major)</div><div className="value">{elements ? elements.a.toFixed(3) : "—"}</div>
         <div className="label">e (eccentricity)</div><div className="value">{elements ? elements.e.toFixed(3) : "—"}</div>
+        <div className="label">i (inclination)</div><div className="value">{deg(elements?.i)}</div>
+        <div className="label">Ω (asc. node)</div><div className="value">{deg(elements?.Omega)}</div>
+        <div className="label">ω (arg. periapsis)</div><div className="value">{deg(elements?.omega)}</div>
+        <div className="label">ν (true anomaly)</div><div className="value">{deg(elements?.nu)}</div>
         <div className="label">|H| (ang. mom)</div><div className="value">{elements ? elements.hmag.toFixed(3) : "—"}</div>
         <div className="label">Energy</div><div className="value">{elements ? elements.energy.toFixed(3) : "—"}</div>
       </div>
@@ -273,119 +175,65 @@ function EpisodeCard({ episodes, activeEp, setActiveEp, elements }) {
   );
 }
 
-/** ======= BOX 3: Quick Status ======= */
-function QuickStatus({ mA, mB }) {
+/** ======= Run table (one row per loaded run) ======= */
+function RunTable({ runs, columns }) {
+  const cols = { gridTemplateColumns: `minmax(0, 1.2fr) repeat(${columns.length}, minmax(0, 1fr))` };
   return (
-    <div className="card h-full">
-      <h3 className="section-title">Quick Status</h3>
-      <div className="grid grid-cols-2 gap-3 text-sm">
-        <div className="mini-card">
-          <div className="label">A — Captured</div>
-          <div className="value">{mA?.capturedAt != null ? "✅" : "❌"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">B — Captured</div>
-          <div className="value">{mB?.capturedAt != null ? "✅" : "❌"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">A — % in tol</div>
-          <div className="value">{mA?.pctInTol != null ? (mA.pctInTol*100).toFixed(1)+"%" : "—"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">B — % in tol</div>
-          <div className="value">{mB?.pctInTol != null ? (mB.pctInTol*100).toFixed(1)+"%" : "—"}</div>
-        </div>
+    <div className="space-y-2 text-sm">
+      <div className="grid gap-2 px-3 text-xs label" style={cols}>
+        <div>Run</div>
+        {columns.map((c) => <div key={c.title}>{c.title}</div>)}
       </div>
+      {runs.map((r, i) => (
+        <div key={i} className="mini-card py-2 grid gap-2 items-center" style={cols}>
+          <div className="truncate font-semibold" style={{ color: r.color }}>{r.label}</div>
+          {columns.map((c) => <div key={c.title} className="value">{c.get(r.m) ?? "—"}</div>)}
+        </div>
+      ))}
     </div>
   );
 }
 
-/** ======= BOX 4: Episode Snapshot ======= */
-function EpisodeSnapshot({ mA, mB }) {
+/** ======= BOX 3: Quick Status ======= */
+function QuickStatus({ runs, config }) {
   return (
     <div className="card h-full">
-      <h3 className="section-title">Episode Snapshot</h3>
-      <div className="grid grid-cols-2 gap-4 text-sm">
-        <div className="mini-card">
-          <div className="label">A reward</div>
-          <div className="value">{mA?.rewardSum?.toFixed?.(2) ?? "—"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">B reward</div>
-          <div className="value">{mB?.rewardSum?.toFixed?.(2) ?? "—"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">A fuel</div>
-          <div className="value">{mA?.fuelSum?.toFixed?.(3) ?? "—"}</div>
-        </div>
-        <div className="mini-card">
-          <div className="label">B fuel</div>
-          <div className="value">{mB?.fuelSum?.toFixed?.(3) ?? "—"}</div>
-        </div>
+      <h3 className="section-title">Quick Status</h3>
+      <RunTable
+        runs={runs}
+        columns={[
+          { title: "Captured", get: (m) => (m ? (m.capturedAt != null ? "✅" : "❌") : null) },
+          { title: "% in tol", get: (m) => (m?.pctInTol != null ? (m.pctInTol*100).toFixed(1)+"%" : null) },
+        ]}
+      />
+      <div className="footnote">
+        Target r = {config.rTarget.toFixed(2)} ± {config.tolR} · |Δv_tan| ≤ {config.tolV} · thrust event &gt; {config.thrustSpike}
       </div>
-      <div className="footnote">Select episodes and play to update live.</div>
     </div>
   );
 }
 
-/** ======= ANALYTICS: A vs B side-by-side *inside* the box ======= */
-function ComparePanel({ mA, mB, frameIdx }) {
+/** ======= BOX 4: Episode Snapshot ======= */
+function EpisodeSnapshot({ runs }) {
   return (
-    <div className="card">
-      <h3 className="section-title">Episode Analytics — A vs B</h3>
-
-      {/* Inline A | B columns in the same box */}
-      <div className="mini-card">
-        <div className="grid grid-cols-3 gap-2 items-center">
-          <div className="label">Total reward</div>
-          <div className="value text-right">A&nbsp;{mA ? mA.rewardSum.toFixed(2) : "—"}</div>
-          <div className="value">B&nbsp;{mB ? mB.rewardSum.toFixed(2) : "—"}</div>
-        </div>
-      </div>
-      <div className="mini-card mt-2">
-        <div className="grid grid-cols-3 gap-2 items-center">
-          <div className="label">Total fuel (∑|u|)</div>
-          <div className="value text-right">A&nbsp;{mA ? mA.fuelSum.toFixed(3) : "—"}</div>
-          <div className="value">B&nbsp;{mB ? mB.fuelSum.toFixed(3) : "—"}</div>
-        </div>
-      </div>
-      <div className="mini-card mt-2">
-        <div className="grid grid-cols-3 gap-2 items-center">
-          <div className="label">Captured at</div>
-          <div className="value text-right">A&nbsp;{mA?.capturedAt ?? "—"}</div>
-          <div className="value">B&nbsp;{mB?.capturedAt ?? "—"}</div>
-        </div>
-      </div>
-      <div className="mini-card mt-2">
-        <div className="grid grid-cols-3 gap-2 items-center">
-          <div className="label">Frames</div>
-          <div className="value text-right">A&nbsp;{mA?.len ?? "—"}</div>
-          <div className="value">B&nbsp;{mB?.len ?? "—"}</div>
-        </div>
-      </div>
-
-      {/* Badges + Sparklines */}
-      <div className="mt-3 flex flex-wrap gap-3">
-        <Badges m={mA} />
-        <Badges m={mB} />
-      </div>
-
-      <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-3">
-        <div className="mini-card"><SparklineRow title="Reward" A={mA?.spark?.reward} B={mB?.spark?.reward} /></div>
-        <div className="mini-card"><SparklineRow title="Fuel |u|" A={mA?.spark?.fuel} B={mB?.spark?.fuel} fmt={(v)=>v.toFixed(3)} /></div>
-        <div className="mini-card"><SparklineRow title="Radial error" A={mA?.spark?.posErr} B={mB?.spark?.posErr} /></div>
-        <div className="mini-card"><SparklineRow title="V-tan error" A={mA?.spark?.vTanErr} B={mB?.spark?.vTanErr} /></div>
-      </div>
-
-      <div className="footnote">At frame {frameIdx}</div>
+    <div className="card h-full">
+      <h3 className="section-title">Episode Snapshot</h3>
+      <RunTable
+        runs={runs}
+        columns={[
+          { title: "Reward", get: (m) => m?.rewardSum?.toFixed?.(2) },
+          { title: "Fuel", get: (m) => m?.fuelSum?.toFixed?.(3) },
+        ]}
+      />
+      <div className="footnote">Select episodes and play to update live.</div>
     </div>
   );
 }
 
 /** -------------- Main App -------------- */
-export default function App({ planetsUrl = "/planets.json" }) {
+export default function App({ planetsUrl = "/planets.json", manifestUrl = "/rollouts/manifest.json" }) {
   // View mode
-  const [ab, setAb] = useState("A");
+  const [activeRun, setActiveRun] = useState(0);
   const [split, setSplit] = useState(false);
 
   // Mission (LLM) + Explain (LLM)
@@ -395,43 +243,111 @@ export default function App({ planetsUrl = "/planets.json" }) {
   // Visual controls
   const [showTrail, setShowTrail] = useState(true);
   const [showThrust, setShowThrust] = useState(true);
+  const [showRTN, setShowRTN] = useState(false);
+  const [showTriad, setShowTriad] = useState(false);
+  const [showOrbit, setShowOrbit] = useState(false);
   const [showAgent, setShowAgent] = useState(true);
   const [showLabels, setShowLabels] = useState(true);
+  const [overlay, setOverlay] = useState(true);
   const [eccScale, setEccScale] = useState(1.0);
   const [thrustScale, setThrustScale] = useState(50);
+  const [chartField, setChartField] = useState("reward");
+  const [cameraMode, setCameraMode] = useState("free");
+  const [cameraPlanet, setCameraPlanet] = useState("Earth");
+  const cameraLink = useRef({ version: 0 }).current; // keeps split-view cameras in step
+  const captureRegistry = useRef(new Map()).current; // canvas key → { gl, scene, camera } for exports
+  const [whatIf, setWhatIf] = useState({
+    enabled: false, from: 400, thrust: "zero", scale: 1, impulseOn: false, impulseAt: 450, dv: [0, 0.05, 0],
+  });
 
   // Playback
   const [activeEp, setActiveEp] = useState(0);
   const [frameIdx, setFrameIdx] = useState(0);
   const [playing, setPlaying] = useState(true);
   const [speed, setSpeed] = useState(1.0);
+  const [alignMode, setAlignMode] = useState("step");
+  const [offsets, setOffsets] = useState({}); // run id → frame offset
 
   // Solar system
   const [planets, setPlanets] = useState([]);
   const [tDays, setTDays] = useState(0);
+  const [capturing, setCapturing] = useState(false);
+  const captureStart = useRef(null); // { frame, tDays } when a recording began
 
   useEffect(() => { loadPlanets(planetsUrl).then(setPlanets).catch(console.error); }, [planetsUrl]);
 
-  // Load both rollouts (A = random/run_01, B = PPO)
-  const { episodes: epsA, metrics: metsA } = useRollout("/rollouts/run_01.json");
-  const { episodes: epsB, metrics: metsB } = useRollout("/rollouts/run_ppo.json");
+  // Rollout library → loaded runs (default: first two runs in the manifest)
+  const { runs, addFiles, addMemoryRun } = useRolloutLibrary(manifestUrl);
+  const [selected, setSelected] = useState(null);
+  const selectedRuns = useMemo(() => {
+    const ids = selected ?? runs.slice(0, 2).map((r) => r.id);
+    return ids.map((id) => runs.find((r) => r.id === id)).filter(Boolean);
+  }, [selected, runs]);
+  const sources = useMemo(() => selectedRuns.map((r) => ({ url: r.url, format: r.format })), [selectedRuns]);
+  // The active mission (if any) sets the target orbit + tolerances for every metric
+  const analyticsConfig = useMemo(() => missionToConfig(mission), [mission]);
+  // Episodes generated in the browser (live policy runs): url → { episodes, progress }
+  const [memory, setMemory] = useState({});
+
+  // Live training telemetry: each published training run joins the comparison when it first appears
+  const [live, setLive] = useState(false);
+  const [liveFollow, setLiveFollow] = useState(true);
+  const selectedIds = useRef([]);
+  selectedIds.current = selectedRuns.map((r) => r.id);
+  const includeRun = useCallback((run) => {
+    setSelected((prev) => {
+      const ids = prev ?? selectedIds.current;
+      return ids.includes(run.id) ? ids : [...ids, run.id];
+    });
+  }, []);
+  const telemetry = useLiveTelemetry(live, { addMemoryRun, onRun: includeRun });
+
+  const allMemory = useMemo(() => ({ ...memory, ...telemetry.memory }), [memory, telemetry.memory]);
+  const data = useRollouts(sources, analyticsConfig, allMemory);
+
+  // One entry per loaded run: { id, label, color, episodes, metrics }
+  const loaded = useMemo(
+    () => selectedRuns.map((r, i) => ({ id: r.id, label: r.label, color: runColor(i), ...data[i] })),
+    [selectedRuns, data]
+  );
+  const activeSlot = Math.min(activeRun, loaded.length - 1);
+  const active = loaded[activeSlot];
+  const leadSlot = split ? 0 : activeSlot;
+  const lead = loaded[leadSlot]; // drives the episode list + timeline
 
-  // Current episode set (for single view)
-  const eps = ab === "A" ? epsA : epsB;
-  const frames = useMemo(() => eps[activeEp] || [], [eps, activeEp]);
+  const episode = active?.episodes[activeEp] || EMPTY_EPISODE;
+  const leadFrameCount = lead?.episodes[activeEp]?.length || 0;
+  const maxFrames = Math.max(0, ...loaded.map((r) => r.episodes[activeEp]?.length || 0));
 
-  // Reset frame when switching A/B or episode
-  useEffect(() => { setFrameIdx(0); }, [ab, activeEp]);
+  // Reset frame when switching the active run, the loaded runs or episode
+  useEffect(() => { setFrameIdx(0); }, [activeRun, activeEp, sources]);
 
-  // Current/prev frames (for ExplainPanel)
-  const frame = frames[Math.floor(frameIdx)] || null;
-  const prevFrame = frames[Math.max(0, Math.floor(frameIdx) - 1)] || null;
+  // Time alignment: frameIdx is the lead run's frame; every run shows its frame at the lead's phase
+  const frameIdxInt = Math.floor(frameIdx);
+  const aligners = useMemo(
+    () => loaded.map((r) => createAligner(alignMode, r.episodes[activeEp], r.metrics[activeEp], offsets[r.id] || 0)),
+    [loaded, activeEp, alignMode, offsets]
+  );
+  const cursor = aligners[leadSlot]?.phaseOf(frameIdxInt) ?? frameIdxInt;
+  const runFrames = aligners.map((a) => a.frameAt(cursor));
+  const activeFrameIdx = runFrames[activeSlot] ?? frameIdxInt;
+  const axisLabel = ALIGN_MODES.find((m) => m.key === alignMode).axis;
+
+  // Timeline lanes for every run, mapped onto the lead run's frames
+  const timelineRuns = useMemo(() => loaded.map((r, i) => {
+    const lead = aligners[leadSlot], own = aligners[i];
+    return {
+      label: r.label, color: r.color, metrics: r.metrics[activeEp],
+      toFrame: i === leadSlot || !lead ? undefined : (f) => lead.indexAt(own.phaseOf(f)),
+    };
+  }), [loaded, activeEp, aligners, leadSlot]);
 
-  // Elements (for Episode card)
-  const elements = useMemo(() => (frame ? orbitalElements(frame.r, frame.v, 1.0) : null), [frame]);
+  // Current/prev frames of the active run (for ExplainPanel)
+  const frame = useMemo(() => frameAt(episode, activeFrameIdx), [episode, activeFrameIdx]);
+  const prevFrame = useMemo(() => frameAt(episode, Math.max(0, activeFrameIdx - 1)), [episode, activeFrameIdx]);
 
-  // Events for timeline
-  const eventsA = metsA?.[activeEp]?.events || [];
+  // Elements (for Episode card)
+  const elements = useMemo(() => (hasState(frame) ? orbitalElements(frame.r, frame.v, 1.0) : null), [frame]);
 
   // Playback + solar time advance
   const lastTime = useRef(performance.now());
@@ -440,19 +356,17 @@ export default function App({ planetsUrl = "/planets.json" }) {
     function tick(now) {
       const dt = (now - lastTime.current) / 1000;
       lastTime.current = now;
-      const activeFrames = split ? Math.max((epsA[activeEp]?.length || 0), (epsB[activeEp]?.length || 0)) : frames.length;
+      const activeFrames = split ? maxFrames : episode.length;
       if (playing && activeFrames > 0) {
         const increment = dt * 60 * speed;
         setFrameIdx((i) => Math.min(activeFrames - 1, i + increment));
       }
-      setTDays((d) => d + dt * 10 * speed);
+      if (!capturing) setTDays((d) => d + dt * 10 * speed);
       raf = requestAnimationFrame(tick);
     }
     raf = requestAnimationFrame(tick);
     return () => cancelAnimationFrame(raf);
-  }, [playing, frames.length, speed, split, epsA, epsB, activeEp]);
-
-  const frameIdxInt = Math.floor(frameIdx);
+  }, [playing, episode.length, speed, split, maxFrames, capturing]);
 
   // Planet colors
   const planetColors = useMemo(() => ({
@@ -460,14 +374,41 @@ export default function App({ planetsUrl = "/planets.json" }) {
     Jupiter: "#f97316", Saturn: "#fde68a", Uranus: "#7dd3fc", Neptune: "#60a5fa"
   }), []);
 
+  const runCount = loaded.length;
+  const nextRun = useCallback(
+    () => setActiveRun((p) => (Math.min(p, runCount - 1) + 1) % Math.max(1, runCount)),
+    [runCount]
+  );
+
+  // Jump to a frame from a chart / panel (pauses so the frame stays put)
+  const seek = useCallback((i) => { setPlaying(false); setFrameIdx(i); }, []);
+
+  // Recording takes over playback: each step sets the frame and the matching solar time
+  // (10 days per 60 frames, as in real-time playback at 1×)
+  const beginCapture = useCallback((from) => {
+    setPlaying(false);
+    setCapturing(true);
+    captureStart.current = { frame: from, tDays };
+  }, [tDays]);
+  const stepCapture = useCallback((f) => {
+    const start = captureStart.current;
+    setFrameIdx(f);
+    if (start) setTDays(start.tDays + ((f - start.frame) * 10) / 60);
+  }, []);
+  const endCapture = useCallback(() => { captureStart.current = null; setCapturing(false); }, []);
+  // Same from a chart drawn on the alignment axis (x → the lead run's frame)
+  const seekAligned = useCallback((x) => { if (aligners[leadSlot]) seek(aligners[leadSlot].frameAt(x)); }, [aligners, leadSlot, seek]);
+  // Open an episode from an across-episode view (learning curves, tables) and play it from the start
+  const openEpisode = useCallback((i) => { setActiveEp(i); setPlaying(true); }, []);
+
   // Hotkeys
   useEffect(() => {
     const onKey = (e) => {
       const k = e.key.toLowerCase();
-      if (k === "b" && !split) setAb((p) => (p === "A" ? "B" : "A"));
+      if (k === "b" && !split) nextRun();
       if (k === "s") setSplit((p) => !p);
       if (k === " ") { e.preventDefault(); setPlaying((p) => !p); }
-      if (k === "arrowright") setFrameIdx((i) => Math.min((frames.length-1)||0, Math.floor(i)+1));
+      if (k === "arrowright") setFrameIdx((i) => Math.min((episode.length-1)||0, Math.floor(i)+1));
       if (k === "arrowleft") setFrameIdx((i) => Math.max(0, Math.floor(i)-1));
       if (k === "m") setShowMission(true);
       if (k === "k") {
@@ -476,36 +417,155 @@ export default function App({ planetsUrl = "/planets.json" }) {
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [split, frames.length, frameIdx, mission]);
+  }, [split, episode.length, frameIdx, mission, nextRun]);
+
+  // Live policy: one in-memory run per policy, one episode per rollout; the new episode is shown as it streams in
+  const envConfig = useMemo(() => missionToEnvConfig(mission), [mission]);
+  const policyRuns = useRef(new Map()); // policy label → library run
+  const memoryRef = useRef(memory);
+  memoryRef.current = memory;
+  const startPolicyEpisode = useCallback((label) => {
+    let run = policyRuns.current.get(label);
+    if (!run) {
+      run = addMemoryRun(label);
+      policyRuns.current.set(label, run);
+    }
+    const slot = selectedIds.current.indexOf(run.id);
+    includeRun(run);
+    const index = memoryRef.current[run.url]?.episodes.length ?? 0;
+    setActiveRun(slot < 0 ? selectedIds.current.length : slot);
+    setActiveEp(index);
+    setPlaying(true);
+    return { url: run.url, index };
+  }, [addMemoryRun, includeRun]);
+  const addPolicyFrames = useCallback((url, index, episode, progress) => {
+    setMemory((prev) => {
+      const episodes = [...(prev[url]?.episodes || [])];
+      episodes[index] = episode;
+      return { ...prev, [url]: { episodes, progress } };
+    });
+  }, []);
+
+  // Follow mode: show each new episode of the active live run as it arrives
+  const liveRuns = telemetry.runs.map((t) => {
+    const slot = loaded.findIndex((r) => r.id === t.run.id);
+    return {
+      name: t.name, label: t.run.label, scalars: t.scalars,
+      color: slot >= 0 ? loaded[slot].color : "#94a3b8",
+      episodes: slot >= 0 ? loaded[slot].episodes.length : 0,
+    };
+  });
+  const activeLiveCount = telemetry.runs.some((t) => t.run.id === active?.id) ? active.episodes.length : 0;
+  useEffect(() => {
+    if (live && liveFollow && activeLiveCount > 0) setActiveEp(activeLiveCount - 1);
+  }, [live, liveFollow, activeLiveCount]);
+
+  // Per-run metrics for the active episode (for the status boxes + analytics)
+  const runMetrics = useMemo(
+    () => loaded.map((r, i) => ({ id: r.id, label: r.label, color: r.color, m: r.metrics[activeEp], align: aligners[i] })),
+    [loaded, activeEp, aligners]
+  );
+
+  // What-if replay of the active run, forked and re-integrated in the browser
+  const ghost = useMemo(() => {
+    if (!whatIf.enabled || episode.length === 0) return null;
+    return propagateWhatIf(episode, {
+      from: whatIf.from,
+      thrust: whatIf.thrust,
+      scale: whatIf.scale,
+      impulse: whatIf.impulseOn ? { at: whatIf.impulseAt, dv: whatIf.dv } : null,
+      thrustMax: mission?.thrust_max,
+      rTarget: analyticsConfig.rTarget,
+      weights: envConfig.weights, // mission reward_weights over the defaults
+    });
+  }, [whatIf, episode, mission, analyticsConfig, envConfig]);
+  const ghostMetrics = useMemo(() => (ghost ? analyzeEpisode(ghost, analyticsConfig) : null), [ghost, analyticsConfig]);
+  // The ghost's reward is recomputed under the mission, so the recording it is compared with is too
+  // (the logged reward comes from whatever target and weights the training env used)
+  const rescoredMetrics = useMemo(() => {
+    if (!whatIf.enabled || episode.length === 0) return null;
+    const rescored = rescoreEpisode(episode, { rTarget: analyticsConfig.rTarget, weights: envConfig.weights });
+    return analyzeEpisode(rescored, analyticsConfig);
+  }, [whatIf.enabled, episode, analyticsConfig, envConfig]);
+
+  const sceneRuns = loaded.map((r, i) => ({
+    slot: i, label: r.label, color: r.color,
+    episode: r.episodes[activeEp] || EMPTY_EPISODE,
+    ghost: r === active ? ghost : null,
+    frameIdx: runFrames[i],
+    events: r.metrics[activeEp]?.events,
+  }));
+  const sceneProps = {
+    frameIdx: frameIdxInt,
+    showTrail, showThrust, showRTN, showTriad, showOrbit, planets, tDays,
+    showAgent, showLabels, planetColors, eccScale, thrustScale,
+    cameraMode, cameraPlanet, focusSlot: activeSlot, cameraLink, captureRegistry,
+  };
+  const captureCells = split
+    ? sceneRuns.map((r) => ({
+      key: r.slot, frame: r.frameIdx, frames: r.episode.length,
+      runs: [{ label: r.label, color: r.color, m: loaded[r.slot].metrics[activeEp] }],
+    }))
+    : [{
+      key: "main", frame: activeFrameIdx, frames: episode.length,
+      runs: sceneRuns
+        .filter((r) => overlay || loaded[r.slot] === active)
+        .map((r) => ({ label: r.label, color: r.color, m: loaded[r.slot].metrics[activeEp] })),
+    }];
 
   return (
     <div className="min-h-screen bg-lab text-slate-100">
       {/* Proper header */}
-      <Header split={split} setSplit={setSplit} setShowMission={setShowMission} />
+      <Header split={split} setSplit={setSplit} setShowMission={setShowMission} labels={loaded.map((r) => r.label)} />
 
       <main className="container py-6 space-y-6">
+        <RolloutLibrary
+          runs={runs}
+          selected={selectedRuns.map((r) => r.id)}
+          progress={loaded.map((r) => r.progress)}
+          onChange={setSelected}
+          onFiles={addFiles}
+        />
+        <RolloutIssues runs={loaded} />
+
         {/* 4 boxes in one row on wide screens */}
         <section className="grid grid-cols-12 gap-6">
           <div className="col-span-12 xl:col-span-3">
             <PlaybackCard
-              ab={ab} setAb={setAb} split={split}
+              activeLabel={active?.label ?? "—"} activeColor={active?.color}
+              runCount={loaded.length} onNextRun={nextRun} split={split}
               playing={playing} setPlaying={setPlaying}
               speed={speed} setSpeed={setSpeed}
               frameIdx={frameIdxInt} setFrameIdx={setFrameIdx}
-              frames={split ? (epsA[activeEp] || []) : frames}
-              eventsA={eventsA}
+              frameCount={leadFrameCount}
+              timelineRuns={timelineRuns}
               showAgent={showAgent} setShowAgent={setShowAgent}
               showTrail={showTrail} setShowTrail={setShowTrail}
               showThrust={showThrust} setShowThrust={setShowThrust}
+              showRTN={showRTN} setShowRTN={setShowRTN}
+              showTriad={showTriad} setShowTriad={setShowTriad}
+              showOrbit={showOrbit} setShowOrbit={setShowOrbit}
               showLabels={showLabels} setShowLabels={setShowLabels}
+              overlay={overlay} setOverlay={setOverlay}
               eccScale={eccScale} setEccScale={setEccScale}
               thrustScale={thrustScale} setThrustScale={setThrustScale}
-            />
+            >
+              {loaded.length > 1 && (
+                <AlignmentControls
+                  mode={alignMode}
+                  onModeChange={setAlignMode}
+                  runs={loaded.map((r, i) => ({ id: r.id, label: r.label, color: r.color, fallback: aligners[i].fallback }))}
+                  offsets={offsets}
+                  onOffsetChange={(id, n) => setOffsets((o) => ({ ...o, [id]: n }))}
+                  range={maxFrames / 2}
+                />
+              )}
+            </PlaybackCard>
           </div>
 
           <div className="col-span-12 xl:col-span-3">
             <EpisodeCard
-              episodes={split ? (epsA || []) : (eps || [])}
+              episodes={lead?.episodes || []}
               activeEp={activeEp}
               setActiveEp={setActiveEp}
               elements={elements}
@@ -513,81 +573,140 @@ export default function App({ planetsUrl = "/planets.json" }) {
           </div>
 
           <div className="col-span-12 xl:col-span-3">
-            <QuickStatus mA={metsA?.[activeEp]} mB={metsB?.[activeEp]} />
+            <QuickStatus runs={runMetrics} config={analyticsConfig} />
           </div>
 
           <div className="col-span-12 xl:col-span-3">
-            <EpisodeSnapshot mA={metsA?.[activeEp]} mB={metsB?.[activeEp]} />
+            <EpisodeSnapshot runs={runMetrics} />
           </div>
         </section>
 
-        {/* Analytics (A vs B inline values inside one box) */}
+        <section>
+          <EpisodeTable
+            runs={loaded}
+            runIndex={split ? 0 : Math.min(activeRun, loaded.length - 1)}
+            activeEp={activeEp}
+            onSelect={(i, slot) => { if (!split) setActiveRun(slot); openEpisode(i); }}
+          />
+        </section>
+
+        {/* Analytics (one column per run inside one box) */}
         <section className="grid grid-cols-12 gap-6">
           <div className="col-span-12">
-            <ComparePanel mA={metsA?.[activeEp]} mB={metsB?.[activeEp]} frameIdx={frameIdxInt} />
+            <ComparePanel runs={runMetrics} frameIdx={frameIdxInt} onExpand={setChartField} />
+          </div>
+          <div className="col-span-12">
+            <ABReportPanel runs={loaded} />
+          </div>
+          <div className="col-span-12">
+            <ChartPanel
+              runs={loaded}
+              activeEp={activeEp}
+              frameIdx={frameIdxInt}
+              aligners={aligners}
+              cursor={cursor}
+              axisLabel={axisLabel}
+              field={chartField}
+              onFieldChange={setChartField}
+              onSeek={seekAligned}
+            />
+          </div>
+          <div className="col-span-12">
+            <LearningCurvePanel runs={loaded} activeEp={activeEp} onOpen={openEpisode} />
+          </div>
+          <div className="col-span-12">
+            <RewardPanel
+              runs={loaded}
+              activeEp={activeEp}
+              weights={mission?.reward_weights}
+              rTarget={analyticsConfig.rTarget}
+            />
+          </div>
+          <div className="col-span-12">
+            <ManeuverPanel
+              runs={loaded}
+              activeEp={activeEp}
+              thrustMax={envConfig.thrustMax}
+              aligners={aligners}
+              cursor={cursor}
+              axisLabel={axisLabel}
+              onSeek={seekAligned}
+            />
+          </div>
+          <div className="col-span-12">
+            <ThrustRTNPanel
+              runs={loaded}
+              activeEp={activeEp}
+              aligners={aligners}
+              cursor={cursor}
+              axisLabel={axisLabel}
+              onSeek={seekAligned}
+            />
+          </div>
+          <div className="col-span-12">
+            <PhysicsPanel runs={loaded} activeEp={activeEp} aligners={aligners} onSeek={seekAligned} />
           </div>
         </section>
 
-        {/* Canvas — Single or Split side-by-side */}
-        <section className="grid grid-cols-12 gap-6">
+        {/* Canvas — Single or Split grid */}
+        <section>
+          <CameraBar
+            mode={cameraMode}
+            onModeChange={setCameraMode}
+            planets={planets}
+            planet={cameraPlanet}
+            onPlanetChange={setCameraPlanet}
+          />
           {!split ? (
-            <div className="col-span-12">
-              <div style={{ height: "78vh", width: "100%" }} className="canvas-shell">
-                <Scene3D
-                  frames={frames}
-                  frameIdx={frameIdxInt}
-                  showTrail={showTrail}
-                  showThrust={showThrust}
-                  planets={planets}
-                  tDays={tDays}
-                  showAgent={showAgent}
-                  showLabels={showLabels}
-                  planetColors={planetColors}
-                  eccScale={eccScale}
-                  thrustScale={thrustScale}
-                />
-              </div>
+            <div style={{ height: "78vh", width: "100%" }} className="canvas-shell">
+              <Scene3D {...sceneProps} runs={overlay ? sceneRuns : sceneRuns.filter((r) => loaded[r.slot] === active)} />
             </div>
           ) : (
-            <>
-              <div className="col-span-12 lg:col-span-6">
-                <div style={{ height: "70vh", width: "100%" }} className="canvas-shell">
-                  <Scene3D
-                    frames={epsA[activeEp] || []}
-                    frameIdx={frameIdxInt}
-                    showTrail={showTrail}
-                    showThrust={showThrust}
-                    planets={planets}
-                    tDays={tDays}
-                    showAgent={showAgent}
-                    showLabels={showLabels}
-                    planetColors={planetColors}
-                    eccScale={eccScale}
-                    thrustScale={thrustScale}
-                  />
-                </div>
-              </div>
-              <div className="col-span-12 lg:col-span-6">
-                <div style={{ height: "70vh", width: "100%" }} className="canvas-shell">
-                  <Scene3D
-                    frames={epsB[activeEp] || []}
-                    frameIdx={frameIdxInt}
-                    showTrail={showTrail}
-                    showThrust={showThrust}
-                    planets={planets}
-                    tDays={tDays}
-                    showAgent={showAgent}
-                    showLabels={showLabels}
-                    planetColors={planetColors}
-                    eccScale={eccScale}
-                    thrustScale={thrustScale}
-                  />
-                </div>
-              </div>
-            </>
+            <SplitView {...sceneProps} runs={sceneRuns} />
           )}
         </section>
 
+        <section>
+          <CapturePanel
+            registry={captureRegistry}
+            cells={captureCells}
+            columns={sceneRuns.length >= 5 ? 3 : 2}
+            frameIdx={frameIdxInt}
+            frameCount={leadFrameCount}
+            onBegin={beginCapture}
+            onStep={stepCapture}
+            onEnd={endCapture}
+          />
+        </section>
+
+        <section>
+          <WhatIfPanel
+            settings={whatIf}
+            onChange={setWhatIf}
+            frameIdx={activeFrameIdx}
+            frameCount={episode.length}
+            label={active?.label}
+            color={active?.color}
+            recorded={rescoredMetrics ?? active?.metrics[activeEp]}
+            ghost={ghostMetrics}
+          />
+        </section>
+
+        <section>
+          <LivePanel
+            enabled={live}
+            onEnabledChange={setLive}
+            status={telemetry.status}
+            runs={liveRuns}
+            follow={liveFollow}
+            onFollowChange={setLiveFollow}
+          />
+        </section>
+
+        <section>
+          <PolicyPanel envConfig={envConfig} onStart={startPolicyEpisode} onFrames={addPolicyFrames} />
+        </section>
+
         {/* Automation / Ask AI — centered with 10px side padding */}
         <section className="w-full">
           <div className="mx-auto max-w-5xl px-[10px]">
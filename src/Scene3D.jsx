@@ -1,92 +1,108 @@
 // src/Scene3D.jsx
-import React, { useEffect, useMemo, useRef } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, Line, Html, GizmoHelper, GizmoViewport, StatsGl } from "@react-three/drei";
+import { frameAt, hasState } from "./lib/rolloutColumns.js";
+import CameraRig from "./components/CameraRig.jsx";
+import { elementsToPositionAU, orbitalElements, orbitPath, rtnBasis, toRTN } from "./lib/orbits.js";
 
 /** ---------- small utils (local to scene) ---------- */
 const clamp = (x, a, b) => Math.min(Math.max(x, a), b);
-
-function keplerE(M, e) {
-  let E = M;
-  for (let k = 0; k < 8; k++) {
-    const f = E - e * Math.sin(E) - M;
-    const fp = 1 - e * Math.cos(E);
-    E -= f / fp;
-  }
-  return E;
-}
-
-function elementsToPositionAU({ a, e, i, Omega, omega, M }) {
-  const E = keplerE(M, e);
-  const cosE = Math.cos(E), sinE = Math.sin(E);
-  const nu = Math.atan2(Math.sqrt(1 - e*e) * sinE, cosE - e);
-  const r_orb = a * (1 - e * cosE);
-  const x_orb = r_orb * Math.cos(nu), y_orb = r_orb * Math.sin(nu);
-
-  const cosO = Math.cos(Omega), sinO = Math.sin(Omega);
-  const cosi = Math.cos(i),     sini = Math.sin(i);
-  const cosw = Math.cos(omega), sinw = Math.sin(omega);
-
-  const X1 = cosw * x_orb - sinw * y_orb;
-  const Y1 = sinw * x_orb + cosw * y_orb;
-
-  const X2 = X1;
-  const Y2 = cosi * Y1;
-  const Z2 = sini * Y1;
-
-  const x = cosO * X2 - sinO * Y2;
-  const y = sinO * X2 + cosO * Y2;
-  const z = Z2;
-  return [x, y, z];
-}
+const RTN_COLORS = ["#f87171", "#4ade80", "#60a5fa"]; // radial, tangential, normal
 
 /** ---------- scene bits ---------- */
-function Satellite({ frame }) {
+// Stays where it was over frames without a state
+function Satellite({ frame, color = "#e5e7eb", opacity = 1 }) {
   const ref = useRef();
   useEffect(() => {
-    if (ref.current && frame) {
+    if (ref.current && hasState(frame)) {
       const p = frame.r; ref.current.position.set(p[0], p[1], p[2]);
     }
   }, [frame]);
   return (
     <mesh ref={ref}>
       <sphereGeometry args={[0.03, 16, 16]} />
-      <meshStandardMaterial color="#e5e7eb" metalness={0.3} roughness={0.5} />
+      <meshStandardMaterial color={color} metalness={0.3} roughness={0.5} transparent={opacity < 1} opacity={opacity} />
     </mesh>
   );
 }
 
-function ThrustVector({ frame, baseScale = 2.0, thrustScale = 50 }) {
+function ThrustVector({ frame, baseScale = 2.0, thrustScale = 50, color = "#38bdf8" }) {
   if (!frame?.r || !frame?.thrust) return null;
   const p = frame.r, u = frame.thrust;
   const mag = Math.hypot(u[0], u[1], u[2]); if (mag < 1e-8) return null;
   const s = baseScale * thrustScale;
   const end = [p[0] + u[0]*s, p[1] + u[1]*s, p[2] + u[2]*s];
-  return <Line points={[p, end]} lineWidth={2} color="#38bdf8" />;
+  return <Line points={[p, end]} lineWidth={2} color={color} />;
+}
+
+/** Thrust split into radial / tangential / normal arrows (same scale as ThrustVector) */
+function ThrustComponents({ frame, baseScale = 2.0, thrustScale = 50 }) {
+  if (!frame?.r || !frame?.v || !frame?.thrust) return null;
+  const p = frame.r;
+  const basis = rtnBasis(p, frame.v);
+  const parts = toRTN(frame.thrust, basis);
+  const s = baseScale * thrustScale;
+  return (
+    <group>
+      {[basis.R, basis.T, basis.N].map((axis, k) => Math.abs(parts[k]) < 1e-8 ? null : (
+        <Line key={k} points={[p, axis.map((x, j) => p[j] + x * parts[k] * s)]} lineWidth={2.5} color={RTN_COLORS[k]} />
+      ))}
+    </group>
+  );
 }
 
-function Trail({ frames, every = 2, maxPoints = 2000 }) {
+/** Local RTN frame at the satellite: fixed-length R / T / N axes */
+function RTNTriad({ frame, size = 0.12 }) {
+  if (!frame?.r || !frame?.v) return null;
+  const p = frame.r;
+  const { R, T, N } = rtnBasis(p, frame.v);
+  return (
+    <group>
+      {[R, T, N].map((axis, k) => (
+        <Line key={k} points={[p, axis.map((x, j) => p[j] + x * size)]} lineWidth={1} color={RTN_COLORS[k]} transparent opacity={0.7} />
+      ))}
+    </group>
+  );
+}
+
+// Reads the packed r column directly; Line takes the flat xyz list as-is (frames without a state are skipped)
+function Trail({ episode, every = 2, maxPoints = 2000, color = "#22d3ee", dashed = false }) {
   const points = useMemo(() => {
-    const pts = [];
-    for (let i = 0; i < frames.length; i += every) { pts.push(frames[i].r); if (pts.length >= maxPoints) break; }
+    const r = episode.cols.r, pts = [];
+    if (!r) return pts;
+    for (let i = 0; i < episode.length; i += every) {
+      if (!Number.isFinite(r[i*3]) || !Number.isFinite(r[i*3+1]) || !Number.isFinite(r[i*3+2])) continue;
+      pts.push(r[i*3], r[i*3+1], r[i*3+2]);
+      if (pts.length >= maxPoints * 3) break;
+    }
     return pts;
-  }, [frames, every, maxPoints]);
-  if (points.length < 2) return null;
-  return <Line points={points} lineWidth={1} color="#22d3ee" />;
+  }, [episode, every, maxPoints]);
+  if (points.length < 6) return null;
+  if (dashed) return <Line points={points} lineWidth={1.5} color={color} dashed dashSize={0.03} gapSize={0.02} />;
+  return <Line points={points} lineWidth={1} color={color} />;
 }
 
-function Planets({ planets, tDays, scaleAU = 1.5, planetColors, showLabels, eccScale = 1 }) {
+const PLANET_SCALE_AU = 1.5;
+
+/** Scene position of a planet at tDays (same exaggerated eccentricity as the drawn orbit) */
+function planetPosition(p, tDays, eccScale = 1, scaleAU = PLANET_SCALE_AU) {
   const mu = 0.0002959122082855911; // AU^3/day^2
+  const rad = Math.PI / 180;
+  const eVis = Math.min(p.e * eccScale, 0.9);
+  const n = Math.sqrt(mu / Math.pow(p.a, 3));
+  const M = (p.M0 * rad + n * tDays) % (2 * Math.PI);
+  const rAU = elementsToPositionAU({ a: p.a, e: eVis, i: p.i*rad, Omega: p.Omega*rad, omega: p.omega*rad, M });
+  return rAU.map((v) => v * scaleAU);
+}
+
+function Planets({ planets, tDays, scaleAU = PLANET_SCALE_AU, planetColors, showLabels, eccScale = 1 }) {
   const rad = Math.PI / 180;
   return (
     <group>
       {planets.map((p) => {
         const eVis = Math.min(p.e * eccScale, 0.9);
-        const n = Math.sqrt(mu / Math.pow(p.a, 3));
-        const M = (p.M0 * rad + n * tDays) % (2 * Math.PI);
-
-        const rAU = elementsToPositionAU({ a: p.a, e: eVis, i: p.i*rad, Omega: p.Omega*rad, omega: p.omega*rad, M });
-        const r = rAU.map((v) => v * scaleAU);
+        const r = planetPosition(p, tDays, eccScale, scaleAU);
 
         const path = [...Array(360)].map((_, k) => {
           const th = (2 * Math.PI * k) / 360;
@@ -130,46 +146,173 @@ function Planets({ planets, tDays, scaleAU = 1.5, planetColors, showLabels, eccS
   );
 }
 
+/** Instantaneous two-body ellipse through the current state (μ = 1), redrawn every frame */
+function OsculatingOrbit({ frame, color }) {
+  const path = useMemo(() => orbitPath(orbitalElements(frame.r, frame.v, 1.0)), [frame]);
+  if (!path) return null;
+  return <Line points={path} lineWidth={1} color={color} dashed dashSize={0.04} gapSize={0.03} transparent opacity={0.8} />;
+}
+
+/** What-if replay forked from a run: dashed trail + translucent satellite */
+function Ghost({ episode, frameIdx, color, showThrust, thrustScale }) {
+  const idx = clamp(frameIdx, 0, episode.length - 1);
+  const frame = useMemo(() => frameAt(episode, idx), [episode, idx]);
+  const state = hasState(frame) ? frame : null;
+  return (
+    <group>
+      <Trail episode={episode} color={color} dashed />
+      {frame && <Satellite frame={frame} color={color} opacity={0.45} />}
+      {showThrust && state && <ThrustVector frame={state} thrustScale={thrustScale} color={color} />}
+    </group>
+  );
+}
+
+/** One run's trail + satellite + thrust arrow (inertial or RTN components) at its (aligned) frame */
+function Agent({ episode, frameIdx, color, showTrail, showThrust, showRTN, showTriad, showOrbit, thrustScale }) {
+  const idx = clamp(frameIdx, 0, episode.length - 1);
+  const frame = useMemo(() => frameAt(episode, idx), [episode, idx]);
+  const state = hasState(frame) ? frame : null;
+  return (
+    <group>
+      {showTrail && episode.length > 1 && <Trail episode={episode} color={color} />}
+      {showOrbit && state && <OsculatingOrbit frame={state} color={color} />}
+      {frame && <Satellite frame={frame} color={color} />}
+      {showTriad && state && <RTNTriad frame={state} />}
+      {showThrust && state && (showRTN
+        ? <ThrustComponents frame={state} thrustScale={thrustScale} />
+        : <ThrustVector frame={state} thrustScale={thrustScale} color={color} />)}
+    </group>
+  );
+}
+
+/** Legend with per-run visibility toggles (only when more than one run shares the scene) */
+function Legend({ runs, hidden, onToggle }) {
+  return (
+    <div className="absolute top-2 left-2 z-10 flex flex-col gap-1 rounded-xl border border-white/15 bg-black/40 px-2 py-1.5 text-xs">
+      {runs.map((r) => (
+        <label key={r.slot} className="check cursor-pointer">
+          <input type="checkbox" checked={!hidden.has(r.slot)} onChange={() => onToggle(r.slot)} />
+          <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: r.color }} />
+          <span>{r.label}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
 /** ---------- main scene ---------- */
+/**
+ * Scene3D
+ * - Sun + Keplerian planets + one or more agent trajectories in a single frame of reference
+ *
+ * Props:
+ *  - runs: [{ slot, label, color, episode, ghost?, frameIdx? }] — columnar episodes, each drawn at its own
+ *    `frameIdx` when given (time alignment) or else the shared one, clamped to its own length;
+ *    `slot` identifies the run for the legend toggles, `ghost` is a what-if replay forked from it
+ *  - frameIdx, showTrail, showThrust, showOrbit (osculating ellipse), showAgent, thrustScale
+ *  - showRTN (thrust drawn as radial / tangential / normal arrows), showTriad (local RTN axes on each satellite)
+ *  - planets, tDays, showLabels, planetColors, eccScale
+ *  - cameraMode (see CameraRig), cameraPlanet (name, for "planet"), focusSlot (run the camera follows;
+ *    first visible run otherwise), cameraLink (shared between canvases that should move together)
+ *  - captureRegistry (Map), captureKey: the canvas registers its { gl, scene, camera } there for exports
+ */
 export default function Scene3D({
-  frames, frameIdx, showTrail, showThrust, planets, tDays,
-  showAgent, showLabels, planetColors, eccScale, thrustScale
+  runs = [], frameIdx, showTrail, showThrust, showRTN, showTriad, showOrbit, planets, tDays,
+  showAgent, showLabels, planetColors, eccScale, thrustScale,
+  cameraMode = "free", cameraPlanet, focusSlot, cameraLink, captureRegistry, captureKey = "main"
 }) {
-  const frame = frames[clamp(frameIdx, 0, frames.length - 1)] || null;
+  const [hidden, setHidden] = useState(() => new Set());
+  const toggle = (slot) => setHidden((prev) => {
+    const next = new Set(prev);
+    if (next.has(slot)) next.delete(slot); else next.add(slot);
+    return next;
+  });
+  const visible = runs.length > 1 ? runs.filter((r) => !hidden.has(r.slot)) : runs;
+
+  // Exports (CapturePanel) render this canvas themselves; unregister when it goes away
+  const three = useRef(null);
+  useEffect(() => {
+    if (!captureRegistry) return;
+    if (three.current) captureRegistry.set(captureKey, three.current);
+    return () => { captureRegistry.delete(captureKey); };
+  }, [captureRegistry, captureKey]);
+  const onCreated = (state) => {
+    three.current = state;
+    captureRegistry?.set(captureKey, state);
+  };
+
+  // Camera focus: the chosen run if it is visible, else the first visible one
+  const focus = visible.find((r) => r.slot === focusSlot) || visible[0];
+  const focusIdx = focus?.episode?.length ? clamp(focus.frameIdx ?? frameIdx, 0, focus.episode.length - 1) : 0;
+  const focusFrame = useMemo(() => (focus?.episode?.length ? frameAt(focus.episode, focusIdx) : null), [focus?.episode, focusIdx]);
+  const planet = planets?.find((p) => p.name === cameraPlanet);
+  const planetTarget = cameraMode === "planet" && planet ? planetPosition(planet, tDays, eccScale) : null;
 
   return (
-    <Canvas camera={{ position: [2.8, 2.2, 2.8], fov: 45 }} style={{ width: "100%", height: "100%" }}>
-      <ambientLight intensity={0.6} />
-      <pointLight position={[0, 0, 0]} intensity={1.6} color="#fff8e1" />
-
-      {/* Sun */}
-      <mesh position={[0, 0, 0]}>
-        <sphereGeometry args={[0.1, 48, 48]} />
-        <meshStandardMaterial color="#ffd166" emissive="#ffb703" emissiveIntensity={1.5} roughness={0.25} metalness={0.1} />
-      </mesh>
-
-      {/* Planets */}
-      {planets?.length > 0 && (
-        <Planets
-          planets={planets}
-          tDays={tDays}
-          scaleAU={1.5}
-          planetColors={planetColors}
-          showLabels={showLabels}
-          eccScale={eccScale}
+    <div className="relative w-full h-full">
+      {runs.length > 1 && <Legend runs={runs} hidden={hidden} onToggle={toggle} />}
+      <Canvas camera={{ position: [2.8, 2.2, 2.8], fov: 45 }} style={{ width: "100%", height: "100%" }} onCreated={onCreated}>
+        <ambientLight intensity={0.6} />
+        <pointLight position={[0, 0, 0]} intensity={1.6} color="#fff8e1" />
+
+        {/* Sun */}
+        <mesh position={[0, 0, 0]}>
+          <sphereGeometry args={[0.1, 48, 48]} />
+          <meshStandardMaterial color="#ffd166" emissive="#ffb703" emissiveIntensity={1.5} roughness={0.25} metalness={0.1} />
+        </mesh>
+
+        {/* Planets */}
+        {planets?.length > 0 && (
+          <Planets
+            planets={planets}
+            tDays={tDays}
+            scaleAU={1.5}
+            planetColors={planetColors}
+            showLabels={showLabels}
+            eccScale={eccScale}
+          />
+        )}
+
+        {/* Agents */}
+        {showAgent && visible.map((r) => r.ghost?.length > 0 && (
+          <Ghost
+            key={`ghost-${r.slot}`}
+            episode={r.ghost}
+            frameIdx={r.frameIdx ?? frameIdx}
+            color={r.color}
+            showThrust={showThrust}
+            thrustScale={thrustScale}
+          />
+        ))}
+        {showAgent && visible.map((r) => r.episode?.length > 0 && (
+          <Agent
+            key={r.slot}
+            episode={r.episode}
+            frameIdx={r.frameIdx ?? frameIdx}
+            color={r.color}
+            showTrail={showTrail}
+            showThrust={showThrust}
+            showRTN={showRTN}
+            showTriad={showTriad}
+            showOrbit={showOrbit}
+            thrustScale={thrustScale}
+          />
+        ))}
+
+        <GizmoHelper alignment="bottom-right" margin={[80, 80]}>
+          <GizmoViewport labelColor="white" axisHeadScale={1} />
+        </GizmoHelper>
+        <OrbitControls enableDamping makeDefault />
+        <CameraRig
+          mode={cameraMode}
+          frame={focusFrame}
+          planetTarget={planetTarget}
+          events={focus?.events}
+          frameIdx={focusIdx}
+          link={cameraLink}
         />
-      )}
-
-      {/* Agent */}
-      {showAgent && showTrail && frames?.length > 1 && <Trail frames={frames} />}
-      {showAgent && frame && <Satellite frame={frame} />}
-      {showAgent && showThrust && frame && <ThrustVector frame={frame} thrustScale={thrustScale} />}
-
-      <GizmoHelper alignment="bottom-right" margin={[80, 80]}>
-        <GizmoViewport labelColor="white" axisHeadScale={1} />
-      </GizmoHelper>
-      <OrbitControls enableDamping makeDefault />
-      <StatsGl className="hidden md:block" />
-    </Canvas>
+        <StatsGl className="hidden md:block" />
+      </Canvas>
+    </div>
   );
 }
@@ -0,0 +1,138 @@
+// src/components/ABReportPanel.jsx
+import React, { useState } from "react";
+import { abReport, abReportToCSV, abReportToMarkdown } from "../lib/abReport.js";
+
+const VERDICT_COLORS = { better: "text-emerald-300", worse: "text-rose-300" };
+
+const f = (x, d) => (x == null || !Number.isFinite(x) ? "—" : x.toFixed(d));
+const p = (x) => (x == null ? "—" : x < 1e-4 ? "<0.0001" : x.toFixed(4));
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function MetricTable({ m }) {
+  const cols = { gridTemplateColumns: "minmax(0, 1.1fr) 0.5fr 1.6fr 0.8fr 0.8fr 1.6fr 0.9fr 0.9fr 1.3fr" };
+  return (
+    <div className="mini-card">
+      <div className="text-sm font-semibold mb-1">
+        {m.label}
+        <span className="text-xs font-normal text-slate-400">
+          {m.note ? ` · ${m.note}` : ""} · {m.better > 0 ? "higher" : "lower"} is better
+        </span>
+      </div>
+      <div className="grid gap-2 text-xs label" style={cols}>
+        <div>Run</div><div>n</div><div>Mean [CI]</div><div>Median</div><div>Std</div>
+        <div>Δ vs baseline [CI]</div><div>Perm. p</div><div>M–W p</div><div>Verdict</div>
+      </div>
+      {m.runs.map((r, k) => {
+        const t = m.tests[k];
+        return (
+          <div key={k} className="grid gap-2 text-xs py-0.5 tabular-nums" style={cols}>
+            <div className="truncate">{r.label}</div>
+            <div>{r.n}</div>
+            <div>{f(r.mean, m.digits)}{r.ci && <span className="text-slate-400"> [{f(r.ci.lo, m.digits)}, {f(r.ci.hi, m.digits)}]</span>}</div>
+            <div>{f(r.median, m.digits)}</div>
+            <div>{f(r.std, m.digits)}</div>
+            <div>
+              {t ? f(t.diff, m.digits) : "—"}
+              {t?.diffCI && <span className="text-slate-400"> [{f(t.diffCI.lo, m.digits)}, {f(t.diffCI.hi, m.digits)}]</span>}
+            </div>
+            <div>{t ? p(t.permutationP) : "—"}</div>
+            <div>{t ? p(t.mannWhitneyP) : "—"}</div>
+            <div className={t ? VERDICT_COLORS[t.verdict] || "text-slate-300" : "text-slate-400"}>{t ? t.verdict : "baseline"}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * ABReportPanel
+ * - Aggregate comparison across all episodes of every loaded run against a baseline run:
+ *   mean/median/std with bootstrap intervals, capture rate with a Wilson interval, and a permutation
+ *   test plus a Mann–Whitney U test per metric (see src/lib/abReport.js)
+ * - Computed on demand (resampling takes a moment on big files); exports CSV, Markdown and JSON
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes, metrics, progress }]
+ */
+export default function ABReportPanel({ runs }) {
+  const [baseline, setBaseline] = useState(0);
+  const [alpha, setAlpha] = useState(0.05);
+  const [result, setResult] = useState(null); // { report, runs, alpha, baseline } — inputs it was computed from
+  const [busy, setBusy] = useState(false);
+
+  const base = Math.min(baseline, Math.max(0, runs.length - 1));
+  const loading = runs.some((r) => !r.progress?.done);
+  const stale = result && (result.runs !== runs || result.alpha !== alpha || result.baseline !== base);
+
+  const compute = () => {
+    setBusy(true);
+    // Let "Computing…" paint before the resampling blocks the thread
+    setTimeout(() => {
+      setResult({ report: abReport(runs, { baseline: base, alpha }), runs, alpha, baseline: base });
+      setBusy(false);
+    }, 20);
+  };
+
+  const report = result?.report;
+  const stamp = report ? report.runs.map((r) => r.label).join("-vs-").replace(/[^\w.-]+/g, "_") : "";
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">A/B Report</h3>
+        <label className="flex items-center gap-1.5 text-sm">
+          Baseline
+          <select className="sel" value={base} onChange={(e) => setBaseline(Number(e.target.value))}>
+            {runs.map((r, i) => <option key={r.id} value={i}>{r.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5 text-sm">
+          α
+          <select className="sel" value={alpha} onChange={(e) => setAlpha(Number(e.target.value))}>
+            {[0.1, 0.05, 0.01].map((a) => <option key={a} value={a}>{a}</option>)}
+          </select>
+        </label>
+        <button className="btn" onClick={compute} disabled={busy || runs.length < 2}>
+          {busy ? "Computing…" : report ? "Recompute" : "Compute"}
+        </button>
+        {stale && <span className="text-xs text-amber-300">Runs or settings changed since this report</span>}
+        {loading && <span className="text-xs text-slate-400">Some runs are still loading</span>}
+        {report && (
+          <div className="ml-auto flex items-center gap-2">
+            <button className="btn text-xs" onClick={() => download(`ab-report-${stamp}.csv`, abReportToCSV(report), "text/csv")}>CSV</button>
+            <button className="btn text-xs" onClick={() => download(`ab-report-${stamp}.md`, abReportToMarkdown(report), "text/markdown")}>Markdown</button>
+            <button className="btn text-xs" onClick={() => download(`ab-report-${stamp}.json`, JSON.stringify(report, null, 2), "application/json")}>JSON</button>
+            <button className="btn text-xs" onClick={() => navigator.clipboard?.writeText(abReportToMarkdown(report))}>Copy</button>
+          </div>
+        )}
+      </div>
+
+      {runs.length < 2 ? (
+        <div className="text-sm text-slate-400">Load at least two runs to compare them.</div>
+      ) : !report ? (
+        <div className="text-sm text-slate-400">Compares every episode of each run against the baseline — press Compute.</div>
+      ) : (
+        <div className="space-y-3">
+          <div className="text-xs text-slate-400">
+            Episodes: {report.runs.map((r) => `${r.label} ${r.episodes}`).join(" · ")} · baseline {report.baseline} · α = {report.alpha}
+          </div>
+          {report.metrics.map((m) => <MetricTable key={m.key} m={m} />)}
+        </div>
+      )}
+
+      <div className="footnote">
+        Intervals: percentile bootstrap of the mean (Wilson for the capture rate). A difference is reported as better/worse
+        only when the permutation test (difference of means) and the Mann–Whitney U test are both significant at α.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// src/components/AlignmentControls.jsx
+import React from "react";
+import { ALIGN_MODES } from "../lib/alignment.js";
+
+const FALLBACK_NOTES = { t: "no usable t — by step", capture: "not captured — by step" };
+
+/**
+ * AlignmentControls
+ * - How runs of different lengths line up during playback and in the overlaid charts
+ *   (see src/lib/alignment.js), plus a frame offset slider per run
+ *
+ * Props:
+ *  - mode, onModeChange(mode)
+ *  - runs: [{ id, label, color, fallback }] — `fallback` when the run can't use the mode
+ *  - offsets: { [runId]: frames }, onOffsetChange(runId, frames)
+ *  - range: largest offset the sliders allow (frames, either direction)
+ */
+export default function AlignmentControls({ mode, onModeChange, runs, offsets, onOffsetChange, range }) {
+  const max = Math.max(10, Math.round(range));
+  return (
+    <div className="space-y-1.5 text-sm">
+      <div className="flex items-center gap-2">
+        <span className="whitespace-nowrap">Align runs by</span>
+        <select className="sel" value={mode} onChange={(e) => onModeChange(e.target.value)}>
+          {ALIGN_MODES.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+      </div>
+      {runs.map((r) => {
+        const offset = offsets[r.id] || 0;
+        return (
+          <div key={r.id} className="flex items-center gap-2 text-xs">
+            <span className="w-20 truncate" style={{ color: r.color }} title={r.label}>{r.label}</span>
+            <input
+              type="range" min={-max} max={max} step="1" value={offset}
+              onChange={(e) => onOffsetChange(r.id, Number(e.target.value))}
+              className="w-28"
+            />
+            <button className="w-12 text-right tabular-nums hover:text-slate-100" title="Reset offset" onClick={() => onOffsetChange(r.id, 0)}>
+              {offset > 0 ? `+${offset}` : offset}
+            </button>
+            {r.fallback && <span className="text-amber-300">{FALLBACK_NOTES[mode]}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// src/components/CameraBar.jsx
+import React from "react";
+import { CAMERA_MODES } from "./cameraModes.js";
+
+const HINTS = {
+  free: "Drag to orbit, scroll to zoom, right-drag to pan",
+  follow: "Chases the active run's spacecraft — drag to orbit around it, scroll to zoom",
+  top: "Looking down on the ecliptic (xy plane) — scroll to zoom",
+  planet: "Centred on the chosen planet — drag to orbit, scroll to zoom",
+  director: "Cuts to a close-up on each burn, capture or boundary crossing, then back to the wide shot",
+};
+
+/**
+ * CameraBar
+ * - Camera mode picker above the 3D view (shared by every canvas in split view)
+ *
+ * Props:
+ *  - mode, onModeChange(mode)
+ *  - planets: [{ name }], planet, onPlanetChange(name) — for the planet-centred mode
+ */
+export default function CameraBar({ mode, onModeChange, planets = [], planet, onPlanetChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+      <span className="label">Camera</span>
+      <div className="flex flex-wrap gap-1.5">
+        {CAMERA_MODES.map((m) => (
+          <button
+            key={m.key}
+            className={`btn text-xs ${m.key === mode ? "ring-2 ring-sky-400" : ""}`}
+            onClick={() => onModeChange(m.key)}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      {mode === "planet" && (
+        <select className="sel" value={planet ?? ""} onChange={(e) => onPlanetChange(e.target.value)}>
+          {planets.map((p) => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+      )}
+      <span className="text-xs text-slate-400">{HINTS[mode]}</span>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+// src/components/CameraRig.jsx
+import { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Vector3 } from "three";
+import { rtnBasis } from "../lib/orbits.js";
+import { hasState } from "../lib/rolloutColumns.js";
+
+const WIDE = { position: [2.8, 2.2, 2.8], target: [0, 0, 0] };
+const SHOT_FRAMES = 120; // a close-up holds this long after its event
+const CUE_TYPES = new Set(["entered_tol", "too_close", "escape"]);
+
+// Events worth a close-up: capture, boundary crossings and the first frame of each burn
+function directorCues(events = []) {
+  const thrust = new Set(events.filter((ev) => ev.type === "thrust").map((ev) => ev.t));
+  return events.filter((ev) => CUE_TYPES.has(ev.type) || (ev.type === "thrust" && !thrust.has(ev.t - 1)));
+}
+
+// Close-up from behind and above the spacecraft, in its local RTN frame
+function closeUp(frame) {
+  const { R, T, N } = rtnBasis(frame.r, frame.v);
+  const p = frame.r;
+  return { position: [0, 1, 2].map((k) => p[k] + 0.18 * R[k] - 0.22 * T[k] + 0.14 * N[k]), target: p };
+}
+
+/**
+ * CameraRig
+ * - Drives the default camera + OrbitControls for the selected mode: free, follow the focused
+ *   spacecraft, locked top-down over the ecliptic (xy plane), centred on a planet, or an
+ *   auto-director that cuts to a close-up on each timeline event and back to a wide shot
+ * - Canvases sharing a `link` mirror each other: whatever the user does with the controls in one
+ *   (orbit, zoom, pan) is copied to the others, as far as the mode allows
+ *
+ * Props:
+ *  - mode (src/components/cameraModes.js), frame (focused spacecraft state { r, v }), planetTarget ([x, y, z] | null),
+ *    events (focused run's timeline events), frameIdx (its frame)
+ *  - link: mutable { version, source, target, offset } shared between canvases
+ */
+export default function CameraRig({ mode, frame: focused, planetTarget, events, frameIdx, link }) {
+  const frame = hasState(focused) ? focused : null; // no state: follow / close-ups hold still
+  const camera = useThree((s) => s.camera);
+  const controls = useThree((s) => s.controls);
+  const id = useRef(Symbol("rig"));
+  const seen = useRef(0);
+  const entered = useRef(null);
+  const shot = useRef(null);
+  const input = useRef({ active: false, until: 0 });
+  const scratch = useMemo(() => ({ offset: new Vector3(), goal: new Vector3() }), []);
+
+  const cues = useMemo(() => directorCues(events), [events]);
+
+  // Track user interaction so only the canvas being handled publishes to the link
+  useEffect(() => {
+    if (!controls) return;
+    const start = () => { input.current.active = true; };
+    const end = () => { input.current = { active: false, until: performance.now() + 600 }; };
+    controls.addEventListener("start", start);
+    controls.addEventListener("end", end);
+    return () => {
+      controls.removeEventListener("start", start);
+      controls.removeEventListener("end", end);
+    };
+  }, [controls]);
+
+  useFrame(() => {
+    if (!controls) return;
+    const target = controls.target;
+    const offset = scratch.offset.copy(camera.position).sub(target);
+
+    // Adopt what another canvas published (before this frame's mode logic)
+    if (link && link.version !== seen.current) {
+      seen.current = link.version;
+      if (link.source !== id.current && mode !== "director") {
+        if (mode === "free") target.fromArray(link.target);
+        if (mode === "top") offset.set(0, 0, Math.hypot(...link.offset));
+        else offset.fromArray(link.offset);
+        camera.position.copy(target).add(offset);
+      }
+    }
+
+    const entering = entered.current !== mode;
+    if (mode !== "director" || frame) entered.current = mode; // the director's first cut waits for a state
+    controls.enableRotate = mode !== "top" && mode !== "director";
+    controls.enablePan = mode === "free";
+
+    if (mode === "follow" || mode === "planet") {
+      const focus = mode === "follow" ? frame?.r : planetTarget;
+      if (focus) {
+        if (entering) offset.setLength(Math.min(offset.length(), mode === "follow" ? 0.45 : 0.8));
+        target.fromArray(focus);
+        camera.position.copy(target).add(offset);
+      }
+    } else if (mode === "top") {
+      if (entering) target.set(0, 0, 0);
+      camera.position.set(target.x, target.y, target.z + Math.max(0.2, entering ? Math.max(3, offset.length()) : offset.length()));
+    } else if (mode === "director" && frame) {
+      const cue = cues.findLast((ev) => ev.t <= frameIdx && frameIdx - ev.t < SHOT_FRAMES);
+      const next = cue ? closeUp(frame) : WIDE;
+      const cut = entering || (cue?.t ?? null) !== shot.current;
+      shot.current = cue?.t ?? null;
+      if (cut) {
+        camera.position.fromArray(next.position);
+        target.fromArray(next.target);
+      } else if (cue) {
+        // Hold the close-up on the moving spacecraft
+        camera.position.lerp(scratch.goal.fromArray(next.position), 0.2);
+        target.fromArray(next.target);
+      }
+    } else if (entering && mode === "free") {
+      target.set(0, 0, 0);
+    }
+    controls.update();
+
+    // Publish while the user is handling this canvas (and while damping settles)
+    if (link && (input.current.active || performance.now() < input.current.until)) {
+      link.version = seen.current = link.version + 1;
+      link.source = id.current;
+      link.target = target.toArray();
+      link.offset = scratch.offset.copy(camera.position).sub(target).toArray();
+    }
+  });
+
+  return null;
+}
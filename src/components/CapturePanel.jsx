@@ -0,0 +1,284 @@
+// src/components/CapturePanel.jsx
+import React, { useRef, useState } from "react";
+import { Vector2 } from "three";
+import { createGifEncoder } from "../lib/gifEncoder.js";
+
+const RESOLUTIONS = [[640, 360], [1280, 720], [1920, 1080], [2560, 1440], [3840, 2160]];
+const FORMATS = [
+  { key: "png", label: "PNG (current frame)" },
+  { key: "webm", label: "WebM video" },
+  { key: "gif", label: "GIF" },
+];
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const webmType = () => (typeof MediaRecorder === "undefined" ? null : WEBM_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) ?? null);
+// Two animation frames: React commits the stepped frame, then every canvas renders it
+const nextPaint = () => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function download(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Render one canvas's scene at w×h (independent of its on-screen size) and draw it into ctx
+function drawScene(ctx, { gl, scene, camera }, x, y, w, h) {
+  const size = gl.getSize(new Vector2());
+  const ratio = gl.getPixelRatio();
+  const aspect = camera.aspect;
+  gl.setPixelRatio(1);
+  gl.setSize(w, h, false);
+  camera.aspect = w / h;
+  camera.updateProjectionMatrix();
+  gl.render(scene, camera);
+  ctx.drawImage(gl.domElement, x, y, w, h); // same task as the render, so the buffer is still there
+  gl.setPixelRatio(ratio);
+  gl.setSize(size.x, size.y, false);
+  camera.aspect = aspect;
+  camera.updateProjectionMatrix();
+}
+
+function metricsLine(m) {
+  if (!m) return "metrics pending";
+  const capture = m.capturedAt != null ? `captured @ ${m.capturedAt}` : "not captured";
+  return `return ${m.rewardSum.toFixed(2)} · fuel ${m.fuelSum.toFixed(3)} · ${capture}`;
+}
+
+function drawOverlays(ctx, cell, x, y, w, h, overlays, scale) {
+  const pad = 12 * scale;
+  const line = 18 * scale;
+  ctx.save();
+  ctx.textBaseline = "top";
+  ctx.shadowColor = "rgba(0,0,0,0.8)";
+  ctx.shadowBlur = 3 * scale;
+  let ty = y + pad;
+  if (overlays.labels || overlays.metrics) {
+    for (const r of cell.runs) {
+      if (overlays.labels) {
+        ctx.fillStyle = r.color;
+        ctx.beginPath();
+        ctx.arc(x + pad + 5 * scale, ty + 7 * scale, 5 * scale, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.font = `600 ${14 * scale}px ui-sans-serif, system-ui, sans-serif`;
+        ctx.fillStyle = "#f8fafc";
+        ctx.fillText(r.label, x + pad + 16 * scale, ty);
+        ty += line;
+      }
+      if (overlays.metrics) {
+        ctx.font = `${12 * scale}px ui-sans-serif, system-ui, sans-serif`;
+        ctx.fillStyle = "#cbd5e1";
+        ctx.fillText(metricsLine(r.m), x + pad + (overlays.labels ? 16 * scale : 0), ty);
+        ty += line;
+      }
+    }
+  }
+  if (overlays.frame) {
+    ctx.font = `${13 * scale}px ui-monospace, monospace`;
+    ctx.fillStyle = "#f8fafc";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(`Frame ${cell.frame} / ${Math.max(0, cell.frames - 1)}`, x + pad, y + h - pad);
+  }
+  ctx.restore();
+}
+
+// Every registered canvas in its grid cell (same layout as the split view) + overlays
+function compose(ctx, { registry, cells, columns }, W, H, overlays) {
+  const cols = Math.max(1, Math.min(columns, cells.length));
+  const rows = Math.max(1, Math.ceil(cells.length / cols));
+  const w = Math.floor(W / cols), h = Math.floor(H / rows);
+  const scale = Math.max(0.5, h / 720);
+  ctx.fillStyle = "#020617";
+  ctx.fillRect(0, 0, W, H);
+  cells.forEach((cell, i) => {
+    const x = (i % cols) * w, y = Math.floor(i / cols) * h;
+    const three = registry.get(cell.key);
+    if (three) drawScene(ctx, three, x, y, w, h);
+    if (overlays.frame || overlays.labels || overlays.metrics) drawOverlays(ctx, cell, x, y, w, h, overlays, scale);
+  });
+}
+
+/**
+ * CapturePanel
+ * - Exports the 3D view (single canvas or the split grid) at a chosen resolution: a PNG of the
+ *   current frame, or a frame range as WebM / GIF. Recording steps playback one frame at a time
+ *   and renders each step (planets advance with the frame), so clips don't depend on the frame
+ *   rate of the machine
+ * - Optional overlays: frame counter, run labels, per-run episode metrics
+ *
+ * Props:
+ *  - registry: Map(canvas key → { gl, scene, camera }) filled by Scene3D
+ *  - cells: [{ key, frame, frames, runs: [{ label, color, m }] }] — one per canvas, in grid order
+ *  - columns: grid columns when there is more than one cell
+ *  - frameIdx, frameCount: playback position / length of the run driving playback
+ *  - onBegin(fromFrame), onStep(frame), onEnd(): recording takes over playback in between
+ */
+export default function CapturePanel({ registry, cells, columns = 2, frameIdx, frameCount, onBegin, onStep, onEnd }) {
+  const [format, setFormat] = useState("png");
+  const [resolution, setResolution] = useState(1);
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [fps, setFps] = useState(30);
+  const [every, setEvery] = useState(2);
+  const [overlays, setOverlays] = useState({ frame: true, labels: true, metrics: false });
+  const [progress, setProgress] = useState(null); // { done, total } while recording
+  const [error, setError] = useState(null);
+  const cancelled = useRef(false);
+
+  // The recording loop reads the latest props after each step
+  const latest = useRef(null);
+  latest.current = { registry, cells, columns, onBegin, onStep, onEnd };
+
+  const [W, H] = RESOLUTIONS[resolution];
+  const last = Math.max(0, frameCount - 1);
+  const from = Math.min(last, Math.max(0, range.from === "" ? 0 : Number(range.from)));
+  const to = Math.min(last, Math.max(from, range.to === "" ? last : Number(range.to)));
+  const mime = webmType();
+  const stamp = () => new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+
+  const canvas2d = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = W;
+    canvas.height = H;
+    return [canvas, canvas.getContext("2d", { willReadFrequently: format === "gif" })];
+  };
+
+  const screenshot = () => {
+    setError(null);
+    const [canvas, ctx] = canvas2d();
+    compose(ctx, latest.current, W, H, overlays);
+    canvas.toBlob((blob) => (blob ? download(`scene-${stamp()}.png`, blob) : setError("PNG export failed")), "image/png");
+  };
+
+  const record = async () => {
+    setError(null);
+    cancelled.current = false;
+    const frames = [];
+    for (let f = from; f <= to; f += Math.max(1, every)) frames.push(f);
+    const [canvas, ctx] = canvas2d();
+    const delay = 1000 / fps;
+    const gif = format === "gif" ? createGifEncoder(W, H, { delayMs: delay }) : null;
+    let recorder = null, track = null;
+    const chunks = [];
+
+    setProgress({ done: 0, total: frames.length });
+    latest.current.onBegin(from);
+    try {
+      // Inside the try: the browser may reject the stream, the codec or the bitrate
+      if (!gif) {
+        const stream = canvas.captureStream(0);
+        track = stream.getVideoTracks()[0];
+        recorder = new MediaRecorder(stream, { mimeType: mime, videoBitsPerSecond: Math.round(W * H * fps * 0.15) });
+        recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+        recorder.start();
+      }
+      for (let k = 0; k < frames.length && !cancelled.current; k++) {
+        latest.current.onStep(frames[k]);
+        await nextPaint();
+        compose(ctx, latest.current, W, H, overlays);
+        if (gif) gif.addFrame(ctx.getImageData(0, 0, W, H).data);
+        else {
+          // MediaRecorder timestamps frames by wall clock, so hold each one for its duration
+          track.requestFrame();
+          await sleep(delay);
+        }
+        setProgress({ done: k + 1, total: frames.length });
+      }
+      if (recorder) {
+        const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+        recorder.stop();
+        await stopped;
+      }
+      if (!cancelled.current) {
+        if (gif) download(`scene-${stamp()}.gif`, new Blob([gif.finish()], { type: "image/gif" }));
+        else download(`scene-${stamp()}.webm`, new Blob(chunks, { type: "video/webm" }));
+      }
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      if (recorder && recorder.state !== "inactive") recorder.stop();
+      track?.stop();
+      latest.current.onEnd();
+      setProgress(null);
+    }
+  };
+
+  const setOverlay = (patch) => setOverlays((o) => ({ ...o, ...patch }));
+  const busy = progress != null;
+  const clipFrames = Math.floor((to - from) / Math.max(1, every)) + 1;
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">Capture</h3>
+        <select className="sel" value={format} onChange={(e) => setFormat(e.target.value)} disabled={busy}>
+          {FORMATS.map((f) => <option key={f.key} value={f.key} disabled={f.key === "webm" && !mime}>{f.label}</option>)}
+        </select>
+        <select className="sel" value={resolution} onChange={(e) => setResolution(Number(e.target.value))} disabled={busy}>
+          {RESOLUTIONS.map(([w, h], i) => <option key={i} value={i}>{w}×{h}</option>)}
+        </select>
+        <span className="text-xs text-slate-400">
+          {cells.length > 1 ? `${cells.length} canvases in a grid` : "single canvas"}
+        </span>
+      </div>
+
+      {format !== "png" && (
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+          <label className="flex items-center gap-1.5">
+            Frames
+            <input type="number" className="sel w-20" min={0} max={last} placeholder="0" value={range.from} disabled={busy}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} />
+            –
+            <input type="number" className="sel w-20" min={0} max={last} placeholder={String(last)} value={range.to} disabled={busy}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} />
+          </label>
+          <button className="btn text-xs" disabled={busy} onClick={() => setRange((r) => ({ ...r, from: String(frameIdx) }))}>From current</button>
+          <label className="flex items-center gap-1.5">
+            Every
+            <select className="sel" value={every} onChange={(e) => setEvery(Number(e.target.value))} disabled={busy}>
+              {[1, 2, 3, 5, 10].map((n) => <option key={n} value={n}>{n} frame{n === 1 ? "" : "s"}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1.5">
+            FPS
+            <select className="sel" value={fps} onChange={(e) => setFps(Number(e.target.value))} disabled={busy}>
+              {[10, 15, 20, 25, 30, 60].map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <span className="text-xs text-slate-400">{clipFrames} frames · {(clipFrames / fps).toFixed(1)} s</span>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <span className="label">Overlays</span>
+        <label className="check"><input type="checkbox" checked={overlays.frame} onChange={(e) => setOverlay({ frame: e.target.checked })} /> Frame counter</label>
+        <label className="check"><input type="checkbox" checked={overlays.labels} onChange={(e) => setOverlay({ labels: e.target.checked })} /> Run labels</label>
+        <label className="check"><input type="checkbox" checked={overlays.metrics} onChange={(e) => setOverlay({ metrics: e.target.checked })} /> Metrics</label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        {format === "png" ? (
+          <button className="btn" onClick={screenshot} disabled={cells.length === 0}>Save PNG</button>
+        ) : busy ? (
+          <>
+            <button className="btn" onClick={() => { cancelled.current = true; }}>Cancel</button>
+            <span className="text-sm tabular-nums">{progress.done} / {progress.total} frames</span>
+          </>
+        ) : (
+          <button className="btn" onClick={record} disabled={cells.length === 0 || frameCount === 0}>
+            Record {format === "gif" ? "GIF" : "WebM"}
+          </button>
+        )}
+        {error && <span className="text-xs text-rose-300">{error}</span>}
+      </div>
+
+      <div className="footnote">
+        Each exported frame is rendered at the chosen resolution from the current camera (any camera mode works,
+        the auto-director included). Planet labels are HTML and are left out. WebM recording holds every frame for
+        1/FPS s, so it takes as long as the clip; GIFs use a fixed 252-colour palette and are built as fast as frames render.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+// src/components/ChartPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Brush, ReferenceLine, CartesianGrid,
+} from "recharts";
+import { mergeSeries } from "./chartSeries.js";
+import { alignSeries } from "../lib/alignment.js";
+import { elementHistory } from "../lib/orbits.js";
+
+const MAX_POINTS = 2000;
+
+const known = (col, i) => col && !Number.isNaN(col[i]);
+
+// Per-frame value straight from the columns, recomputed from r/v where the file omits the field
+// (no column at all, or NaN in this frame)
+function columnValue(field, ep, i, mu = 1.0) {
+  const { r, v, H, E, v_rad } = ep.cols;
+  const rmag = Math.hypot(r[i*3], r[i*3+1], r[i*3+2]);
+  if (field === "E") {
+    return known(E, i) ? E[i] : 0.5 * (v[i*3]**2 + v[i*3+1]**2 + v[i*3+2]**2) - mu / rmag;
+  }
+  if (field === "H") {
+    if (known(H, i * 3)) return Math.hypot(H[i*3], H[i*3+1], H[i*3+2]);
+    const hx = r[i*3+1]*v[i*3+2] - r[i*3+2]*v[i*3+1];
+    const hy = r[i*3+2]*v[i*3] - r[i*3]*v[i*3+2];
+    const hz = r[i*3]*v[i*3+1] - r[i*3+1]*v[i*3];
+    return Math.hypot(hx, hy, hz);
+  }
+  if (known(v_rad, i)) return v_rad[i];
+  return (v[i*3]*r[i*3] + v[i*3+1]*r[i*3+1] + v[i*3+2]*r[i*3+2]) / Math.max(1e-9, rmag);
+}
+
+const ANGLES = new Set(["i", "Omega", "omega", "nu"]);
+
+const columnCache = new WeakMap(); // episode → Map(field → [{x,y}])
+const elementCache = new WeakMap(); // episode → elementHistory(episode)
+function columnSeries(ep, field, element) {
+  let byField = columnCache.get(ep);
+  if (!byField) columnCache.set(ep, (byField = new Map()));
+  if (!byField.has(field)) {
+    const data = [];
+    if (element) {
+      if (!elementCache.has(ep)) elementCache.set(ep, elementHistory(ep));
+      const col = elementCache.get(ep)[field];
+      const scale = ANGLES.has(field) ? 180 / Math.PI : 1;
+      for (let i = 0; i < ep.length; i++) data.push({ x: i, y: col[i] * scale });
+    } else {
+      for (let i = 0; i < ep.length; i++) data.push({ x: i, y: columnValue(field, ep, i) });
+    }
+    byField.set(field, data);
+  }
+  return byField.get(field);
+}
+
+// reward / fuel / errors come from the analytics pass (so they follow the mission target);
+// the rest are read from the episode columns
+const CHART_FIELDS = [
+  { key: "reward", label: "Reward", spark: "reward" },
+  { key: "fuel", label: "Fuel |u|", spark: "fuel" },
+  { key: "pos_err", label: "Radial error", spark: "posErr" },
+  { key: "v_tan_err", label: "V-tan error", spark: "vTanErr" },
+  { key: "E", label: "Energy E", column: "E" },
+  { key: "H", label: "|H|", column: "H" },
+  { key: "v_rad", label: "Radial velocity", column: "v_rad" },
+  // Osculating elements (angles in degrees)
+  { key: "a", label: "a", element: true },
+  { key: "e", label: "e", element: true },
+  { key: "i", label: "i°", element: true },
+  { key: "Omega", label: "Ω°", element: true },
+  { key: "omega", label: "ω°", element: true },
+  { key: "nu", label: "ν°", element: true },
+];
+
+function thin(data) {
+  const step = Math.ceil(data.length / MAX_POINTS);
+  return step > 1 ? data.filter((_, i) => i % step === 0) : data;
+}
+
+/**
+ * ChartPanel
+ * - Full-size chart of one per-frame field for the active episode, every loaded run overlaid
+ * - Axes, hover readout, brush to zoom, a cursor at the playback frame; click to seek
+ * - Runs are drawn on the shared alignment axis (frame, t, frames from capture or % of episode)
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes, metrics }]
+ *  - activeEp, frameIdx
+ *  - aligners: one per run (src/lib/alignment.js), cursor: playback position on that axis, axisLabel
+ *  - field, onFieldChange(field)
+ *  - onSeek(x): x on the alignment axis
+ */
+export default function ChartPanel({
+  runs, activeEp, frameIdx, aligners = [], cursor = frameIdx, axisLabel = "Frame", field, onFieldChange, onSeek,
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const def = CHART_FIELDS.find((f) => f.key === field) || CHART_FIELDS[0];
+
+  const series = useMemo(() => runs.map((r, k) => {
+    const ep = r.episodes[activeEp];
+    const data = def.spark ? r.metrics[activeEp]?.spark?.[def.spark] : ep && columnSeries(ep, def.column ?? def.key, def.element);
+    return { label: r.label, color: r.color, data: alignSeries(data, aligners[k]) };
+  }), [runs, activeEp, def, aligners]);
+  const rows = useMemo(() => thin(mergeSeries(series)), [series]);
+
+  const seek = (state) => {
+    const x = Number(state?.activeLabel);
+    if (Number.isFinite(x)) onSeek(x);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h3 className="section-title mb-0 mr-2">Charts</h3>
+        {CHART_FIELDS.map((f) => (
+          <button
+            key={f.key}
+            className={`btn text-xs ${f.key === def.key ? "ring-2 ring-sky-400" : ""}`}
+            onClick={() => onFieldChange(f.key)}
+          >
+            {f.label}
+          </button>
+        ))}
+        <button className="btn text-xs ml-auto" onClick={() => setExpanded((e) => !e)}>
+          {expanded ? "Collapse" : "Expand"}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="h-64 flex items-center justify-center text-sm text-slate-400">No data</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={expanded ? 520 : 280}>
+          <LineChart data={rows} margin={{ left: 8, right: 16, top: 8, bottom: 0 }} onClick={seek} style={{ cursor: "crosshair" }}>
+            <CartesianGrid stroke="#94a3b8" strokeOpacity={0.15} />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} width={64} tickFormatter={(v) => v.toPrecision(3)} domain={["auto", "auto"]} />
+            <Tooltip
+              formatter={(v) => (typeof v === "number" ? v.toPrecision(5) : v)}
+              labelFormatter={(x) => `${axisLabel} ${Number.isInteger(x) ? x : Number(x).toFixed(1)}`}
+            />
+            {series.map((s, k) => (
+              <Line
+                key={k}
+                type="linear"
+                dataKey={`s${k}`}
+                name={s.label}
+                stroke={s.color}
+                strokeWidth={1.5}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine x={cursor} stroke="#f8fafc" strokeDasharray="4 3" ifOverflow="hidden" />
+            <Brush key={`${def.key}:${activeEp}`} dataKey="x" height={22} stroke="#64748b" travellerWidth={8} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="footnote">
+        {def.label} · Episode {activeEp + 1} · frame {frameIdx} — drag the brush to zoom, click to seek
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// src/components/ComparePanel.jsx
+import React, { useMemo } from "react";
+import Badges from "./Badges.jsx";
+import { SparklineRow } from "./Sparklines.jsx";
+import { alignSeries } from "../lib/alignment.js";
+
+/**
+ * ComparePanel
+ * - One column per loaded run for the active episode, plus badges and overlaid sparklines
+ *
+ * Props:
+ *  - runs: [{ id, label, color, m, align }] — `m` is the run's metrics for the active episode (may be undefined),
+ *    `align` its aligner (src/lib/alignment.js) so the sparklines line up like the charts
+ *  - frameIdx
+ *  - onExpand(field): optional, opens a field in the chart panel
+ */
+export default function ComparePanel({ runs, frameIdx, onExpand }) {
+  const cols = { gridTemplateColumns: `minmax(8rem, 1.2fr) repeat(${runs.length}, minmax(0, 1fr))` };
+
+  const row = (title, get) => (
+    <div className="mini-card mt-2 first:mt-0">
+      <div className="grid gap-2 items-center" style={cols}>
+        <div className="label">{title}</div>
+        {runs.map((r, i) => (
+          <div key={i} className="value">{r.m ? get(r.m) ?? "—" : "—"}</div>
+        ))}
+      </div>
+    </div>
+  );
+
+  const sparks = useMemo(() => {
+    const series = (key) => runs.map((r) => ({ label: r.label, color: r.color, data: alignSeries(r.m?.spark?.[key], r.align) }));
+    return { reward: series("reward"), fuel: series("fuel"), posErr: series("posErr"), vTanErr: series("vTanErr") };
+  }, [runs]);
+  const expand = (field) => (onExpand ? () => onExpand(field) : undefined);
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Episode Analytics — {runs.map((r) => r.label).join(" vs ")}</h3>
+
+      <div className="grid gap-2 px-3 mb-1 text-xs" style={cols}>
+        <div />
+        {runs.map((r, i) => (
+          <div key={i} className="font-semibold truncate" style={{ color: r.color }}>{r.label}</div>
+        ))}
+      </div>
+
+      {/* One column per run in the same box */}
+      {row("Total reward", (m) => m.rewardSum.toFixed(2))}
+      {row("Total fuel (∑|u|)", (m) => m.fuelSum.toFixed(3))}
+      {row("Captured at", (m) => m.capturedAt)}
+      {row("Frames", (m) => m.len)}
+
+      {/* Badges + Sparklines */}
+      <div className="mt-3 flex flex-wrap gap-3">
+        {runs.map((r, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className="text-xs font-semibold" style={{ color: r.color }}>{r.label}</span>
+            <Badges m={r.m} />
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-3">
+        <div className="mini-card"><SparklineRow title="Reward" series={sparks.reward} onExpand={expand("reward")} /></div>
+        <div className="mini-card"><SparklineRow title="Fuel |u|" series={sparks.fuel} onExpand={expand("fuel")} fmt={(v)=>v.toFixed(3)} /></div>
+        <div className="mini-card"><SparklineRow title="Radial error" series={sparks.posErr} onExpand={expand("pos_err")} /></div>
+        <div className="mini-card"><SparklineRow title="V-tan error" series={sparks.vTanErr} onExpand={expand("v_tan_err")} /></div>
+      </div>
+
+      <div className="footnote">At frame {frameIdx}</div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+// src/components/EpisodeTable.jsx
+import React, { useMemo, useState } from "react";
+import { quantile } from "../lib/stats.js";
+
+const MAX_ROWS = 300;
+
+// Sortable columns; `get` reads a row built from the episode + its analytics metrics
+const COLUMNS = [
+  { key: "index", title: "#", get: (r) => r.index, fmt: (x) => x },
+  { key: "len", title: "Length", get: (r) => r.len, fmt: (x) => x },
+  { key: "reward", title: "Reward", get: (r) => r.m?.rewardSum, fmt: (x) => x.toFixed(2) },
+  { key: "fuel", title: "Fuel", get: (r) => r.m?.fuelSum, fmt: (x) => x.toFixed(3) },
+  { key: "captured", title: "Captured", get: (r) => (r.m ? (r.m.capturedAt != null ? 1 : 0) : null), fmt: (x) => (x ? "✅" : "❌") },
+  { key: "capturedAt", title: "Capture @", get: (r) => r.m?.capturedAt, fmt: (x) => x },
+  { key: "pctInTol", title: "% in tol", get: (r) => (r.m ? r.m.pctInTol * 100 : null), fmt: (x) => `${x.toFixed(1)}%` },
+  { key: "escapedAt", title: "Escape @", get: (r) => r.m?.escapedAt, fmt: (x) => x },
+  { key: "tooCloseAt", title: "Too close @", get: (r) => r.m?.tooCloseAt, fmt: (x) => x },
+];
+
+const byKey = (key) => COLUMNS.find((c) => c.key === key);
+
+// Quick filters: (rows) → the rows to show, optionally with the sort they imply
+const QUICK = [
+  { key: "worst", title: "Worst 10 by reward", sort: { key: "reward", dir: 1 }, limit: 10 },
+  { key: "best", title: "Best 10 by reward", sort: { key: "reward", dir: -1 }, limit: 10 },
+  {
+    key: "thirsty", title: "Captured but high fuel", sort: { key: "fuel", dir: -1 },
+    filter: (rows) => {
+      const p75 = quantile(rows.map((r) => r.m?.fuelSum), 0.75);
+      return rows.filter((r) => r.m?.capturedAt != null && r.m.fuelSum >= p75);
+    },
+  },
+  { key: "uncaptured", title: "Never captured", filter: (rows) => rows.filter((r) => r.m && r.m.capturedAt == null) },
+  { key: "anomalies", title: "Escaped / too close", filter: (rows) => rows.filter((r) => r.m?.escapedAt != null || r.m?.tooCloseAt != null) },
+];
+
+const NO_FILTERS = { captured: "any", events: "any", minReward: "", maxFuel: "" };
+
+const num = (s) => (s === "" || !Number.isFinite(Number(s)) ? null : Number(s));
+
+function applyFilters(rows, f) {
+  const minReward = num(f.minReward);
+  const maxFuel = num(f.maxFuel);
+  return rows.filter((r) => {
+    const m = r.m;
+    if (f.captured !== "any" && (!m || (m.capturedAt != null) !== (f.captured === "yes"))) return false;
+    if (f.events === "escape" && m?.escapedAt == null) return false;
+    if (f.events === "too_close" && m?.tooCloseAt == null) return false;
+    if (f.events === "none" && (m?.escapedAt != null || m?.tooCloseAt != null)) return false;
+    if (minReward != null && !(m?.rewardSum >= minReward)) return false;
+    if (maxFuel != null && !(m?.fuelSum <= maxFuel)) return false;
+    return true;
+  });
+}
+
+function sortRows(rows, { key, dir }) {
+  const get = byKey(key).get;
+  // Missing values (metrics still computing, never captured, ...) always sort last
+  return [...rows].sort((a, b) => {
+    const x = get(a), y = get(b);
+    if (x == null || y == null) return (x == null) - (y == null) || a.index - b.index;
+    return (x - y) * dir || a.index - b.index;
+  });
+}
+
+/**
+ * EpisodeTable
+ * - Every episode of one loaded run with its analytics: sortable by any column, filterable by
+ *   capture, escape/too-close events, reward and fuel, plus quick filters for common questions
+ * - Clicking a row opens that episode (of that run) in the player
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes, metrics }]
+ *  - runIndex: run shown by default (the one driving the episode list)
+ *  - activeEp, onSelect(episodeIndex, runIndex)
+ */
+export default function EpisodeTable({ runs, runIndex = 0, activeEp, onSelect }) {
+  const [picked, setPicked] = useState(null); // run id, null = follow runIndex
+  const [sort, setSort] = useState({ key: "index", dir: 1 });
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [quick, setQuick] = useState(null);
+
+  const run = runs.find((r) => r.id === picked) || runs[Math.min(runIndex, runs.length - 1)];
+  const all = useMemo(
+    () => (run ? run.episodes.map((ep, index) => ({ index, len: ep.length, m: run.metrics[index] })) : []),
+    [run]
+  );
+
+  const shown = useMemo(() => {
+    const q = QUICK.find((x) => x.key === quick);
+    let rows = applyFilters(all, filters);
+    if (q?.filter) rows = q.filter(rows);
+    if (q?.limit) rows = sortRows(rows, q.sort).slice(0, q.limit);
+    return sortRows(rows, sort);
+  }, [all, filters, quick, sort]);
+
+  const toggleSort = (key) => setSort((s) => ({ key, dir: s.key === key ? -s.dir : key === "index" ? 1 : -1 }));
+  const pickQuick = (q) => {
+    if (quick === q.key) { setQuick(null); return; }
+    setQuick(q.key);
+    if (q.sort) setSort(q.sort);
+  };
+  const setFilter = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const reset = () => { setFilters(NO_FILTERS); setQuick(null); setSort({ key: "index", dir: 1 }); };
+
+  const cols = { gridTemplateColumns: `repeat(${COLUMNS.length}, minmax(0, 1fr))` };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">Episodes</h3>
+        {runs.length > 1 && (
+          <select className="sel" value={run?.id ?? ""} onChange={(e) => setPicked(e.target.value)}>
+            {runs.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+        )}
+        {runs.length === 1 && <span className="text-sm font-semibold" style={{ color: run?.color }}>{run?.label}</span>}
+        <span className="text-xs text-slate-400 ml-auto">
+          {shown.length} of {all.length} episode{all.length === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        {QUICK.map((q) => (
+          <button
+            key={q.key}
+            className={`btn text-xs ${quick === q.key ? "ring-2 ring-sky-400" : ""}`}
+            onClick={() => pickQuick(q)}
+          >
+            {q.title}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-xs">
+        <label className="flex items-center gap-1.5">
+          Captured
+          <select className="sel" value={filters.captured} onChange={(e) => setFilter({ captured: e.target.value })}>
+            <option value="any">any</option>
+            <option value="yes">yes</option>
+            <option value="no">no</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5">
+          Events
+          <select className="sel" value={filters.events} onChange={(e) => setFilter({ events: e.target.value })}>
+            <option value="any">any</option>
+            <option value="escape">escaped</option>
+            <option value="too_close">too close</option>
+            <option value="none">neither</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5">
+          Reward ≥
+          <input type="number" className="sel w-24" value={filters.minReward} onChange={(e) => setFilter({ minReward: e.target.value })} />
+        </label>
+        <label className="flex items-center gap-1.5">
+          Fuel ≤
+          <input type="number" step="0.1" className="sel w-24" value={filters.maxFuel} onChange={(e) => setFilter({ maxFuel: e.target.value })} />
+        </label>
+        <button className="btn text-xs" onClick={reset}>Reset</button>
+      </div>
+
+      <div className="grid gap-2 px-3 text-xs label" style={cols}>
+        {COLUMNS.map((c) => (
+          <button key={c.key} className="text-left hover:text-slate-100" onClick={() => toggleSort(c.key)}>
+            {c.title}{sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+          </button>
+        ))}
+      </div>
+      <div className="max-h-96 overflow-y-auto space-y-1 mt-1">
+        {shown.slice(0, MAX_ROWS).map((r) => (
+          <div
+            key={r.index}
+            className={`mini-card py-1.5 grid gap-2 items-center text-sm cursor-pointer hover:bg-white/10 ${r.index === activeEp ? "ring-2 ring-sky-400" : ""}`}
+            style={cols}
+            onClick={() => onSelect(r.index, runs.indexOf(run))}
+          >
+            {COLUMNS.map((c) => {
+              const x = c.get(r);
+              return <div key={c.key} className="value">{x == null ? "—" : c.fmt(x)}</div>;
+            })}
+          </div>
+        ))}
+        {shown.length === 0 && <div className="text-sm text-slate-400 px-3 py-4">No episodes match.</div>}
+      </div>
+      {shown.length > MAX_ROWS && (
+        <div className="footnote">Showing the first {MAX_ROWS} rows — narrow the filters or sort to see the rest.</div>
+      )}
+    </div>
+  );
+}
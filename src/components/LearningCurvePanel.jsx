@@ -0,0 +1,155 @@
+// src/components/LearningCurvePanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, ComposedChart, Line, Area, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine,
+} from "recharts";
+import { rollingStats, mean } from "../lib/stats.js";
+
+// Per-episode values from the analytics pass (src/lib/analytics.js)
+const CURVES = [
+  { key: "return", label: "Return", get: (m) => m.rewardSum, d: 2 },
+  { key: "fuel", label: "Fuel ∑|u|", get: (m) => m.fuelSum, d: 3 },
+  { key: "capture", label: "Capture frame", get: (m) => m.capturedAt ?? NaN, d: 0 },
+  { key: "in_tol", label: "% in tolerance", get: (m) => m.pctInTol * 100, d: 1 },
+];
+
+const fmt = (x, d) => (x == null || !Number.isFinite(x) ? "—" : x.toFixed(d));
+
+/**
+ * LearningCurvePanel
+ * - Per-episode return, fuel, capture frame and % in tolerance against episode index for every
+ *   loaded run: raw points, a trailing moving average and its 95% confidence band
+ * - Click anywhere on the chart to open that episode in the player
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes, metrics }]
+ *  - activeEp, onOpen(episodeIndex)
+ */
+export default function LearningCurvePanel({ runs, activeEp, onOpen }) {
+  const [curve, setCurve] = useState(CURVES[0].key);
+  const [windowSize, setWindowSize] = useState(10);
+  const [showBand, setShowBand] = useState(true);
+  const [showPoints, setShowPoints] = useState(true);
+  const def = CURVES.find((c) => c.key === curve) || CURVES[0];
+
+  const series = useMemo(() => runs.map((r) => {
+    const values = r.episodes.map((_, i) => (r.metrics[i] ? def.get(r.metrics[i]) : NaN));
+    return { label: r.label, color: r.color, values, rolling: rollingStats(values, windowSize) };
+  }), [runs, def, windowSize]);
+
+  const rows = useMemo(() => {
+    const n = Math.max(0, ...series.map((s) => s.values.length));
+    return Array.from({ length: n }, (_, i) => {
+      const row = { x: i };
+      series.forEach((s, k) => {
+        const v = s.values[i];
+        const st = s.rolling[i];
+        if (Number.isFinite(v)) row[`v${k}`] = v;
+        if (st?.mean != null) {
+          row[`m${k}`] = st.mean;
+          row[`b${k}`] = [st.lo, st.hi];
+        }
+      });
+      return row;
+    });
+  }, [series]);
+
+  const open = (state) => {
+    const x = Number(state?.activeLabel);
+    if (Number.isFinite(x)) onOpen(Math.round(x));
+  };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h3 className="section-title mb-0 mr-2">Learning Curves</h3>
+        {CURVES.map((c) => (
+          <button
+            key={c.key}
+            className={`btn text-xs ${c.key === def.key ? "ring-2 ring-sky-400" : ""}`}
+            onClick={() => setCurve(c.key)}
+          >
+            {c.label}
+          </button>
+        ))}
+        <div className="ml-auto flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            Window
+            <input type="range" min="1" max="50" step="1" value={windowSize} onChange={(e) => setWindowSize(Number(e.target.value))} className="w-24" />
+            <span className="w-6 tabular-nums">{windowSize}</span>
+          </label>
+          <label className="check"><input type="checkbox" checked={showBand} onChange={(e) => setShowBand(e.target.checked)} /> 95% band</label>
+          <label className="check"><input type="checkbox" checked={showPoints} onChange={(e) => setShowPoints(e.target.checked)} /> Episodes</label>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="h-64 flex items-center justify-center text-sm text-slate-400">No episodes</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={rows} margin={{ left: 8, right: 16, top: 8, bottom: 0 }} onClick={open} style={{ cursor: "pointer" }}>
+            <CartesianGrid stroke="#94a3b8" strokeOpacity={0.15} />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} allowDecimals={false} />
+            <YAxis tick={{ fontSize: 11 }} width={64} tickFormatter={(v) => v.toPrecision(3)} domain={["auto", "auto"]} />
+            <Tooltip
+              formatter={(v, name) => [Array.isArray(v) ? `${fmt(v[0], def.d)} … ${fmt(v[1], def.d)}` : fmt(v, def.d), name]}
+              labelFormatter={(x) => `Episode ${x}`}
+            />
+            {showBand && series.map((s, k) => (
+              <Area
+                key={`b${k}`}
+                dataKey={`b${k}`}
+                name={`${s.label} 95% band`}
+                stroke="none"
+                fill={s.color}
+                fillOpacity={0.15}
+                isAnimationActive={false}
+                activeDot={false}
+              />
+            ))}
+            {showPoints && series.map((s, k) => (
+              <Line
+                key={`v${k}`}
+                dataKey={`v${k}`}
+                name={s.label}
+                stroke="none"
+                dot={{ r: 1.8, fill: s.color, fillOpacity: 0.45, stroke: "none" }}
+                activeDot={{ r: 3.5 }}
+                isAnimationActive={false}
+              />
+            ))}
+            {series.map((s, k) => (
+              <Line
+                key={`m${k}`}
+                type="monotone"
+                dataKey={`m${k}`}
+                name={`${s.label} (avg ${windowSize})`}
+                stroke={s.color}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine x={activeEp} stroke="#f8fafc" strokeDasharray="4 3" ifOverflow="hidden" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-xs">
+        {series.map((s, k) => {
+          const last = s.rolling[s.rolling.length - 1];
+          return (
+            <span key={k}>
+              <span className="font-semibold" style={{ color: s.color }}>{s.label}</span>
+              <span className="text-slate-400"> mean {fmt(mean(s.values), def.d)} · last {windowSize} {fmt(last?.mean, def.d)}</span>
+            </span>
+          );
+        })}
+      </div>
+      <div className="footnote">
+        {def.label} per episode{def.key === "capture" ? " (episodes that never capture are left out)" : ""} · trailing
+        average over {windowSize} episode{windowSize === 1 ? "" : "s"}, band = 95% CI of that average · click to open an episode
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+// src/components/LivePanel.jsx
+import React, { useMemo, useState } from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend } from "recharts";
+
+const STATUS = {
+  off: { text: "Off", dot: "bg-slate-500" },
+  connecting: { text: "Connecting…", dot: "bg-amber-400" },
+  live: { text: "Live", dot: "bg-emerald-400" },
+  error: { text: "Disconnected", dot: "bg-rose-500" },
+};
+
+// Scalar points of every run → [{ step, s0, s1, ... }] sorted by step (runs log at different steps)
+function mergeByStep(runs, key) {
+  const rows = new Map();
+  runs.forEach((r, k) => {
+    for (const p of r.scalars) {
+      if (!Number.isFinite(p[key])) continue;
+      if (!rows.has(p.step)) rows.set(p.step, { step: p.step });
+      rows.get(p.step)[`s${k}`] = p[key];
+    }
+  });
+  return [...rows.values()].sort((a, b) => a.step - b.step);
+}
+
+/**
+ * LivePanel
+ * - Live mode: connects to the training telemetry stream (see useLiveTelemetry); published episodes
+ *   are appended to a "(live)" rollout per training run
+ * - Learning curves of the scalars the trainers push, one line per run, updated as points arrive
+ *
+ * Props:
+ *  - enabled, onEnabledChange(bool), status: "off" | "connecting" | "live" | "error"
+ *  - runs: [{ name, label, color, episodes, scalars }]
+ *  - follow, onFollowChange(bool): jump to each new episode of the active live run
+ */
+export default function LivePanel({ enabled, onEnabledChange, status, runs, follow, onFollowChange }) {
+  const keys = useMemo(() => {
+    const set = new Set();
+    for (const r of runs) for (const p of r.scalars) for (const k of Object.keys(p)) if (k !== "step") set.add(k);
+    return [...set];
+  }, [runs]);
+  const [picked, setPicked] = useState(null);
+  const key = keys.includes(picked) ? picked : keys[0];
+  const rows = useMemo(() => (key ? mergeByStep(runs, key) : []), [runs, key]);
+  const s = STATUS[status] || STATUS.off;
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h3 className="section-title mb-0">Live Training</h3>
+        <span className="flex items-center gap-1.5 text-xs text-slate-300">
+          <span className={`inline-block h-2 w-2 rounded-full ${s.dot}`} /> {s.text}
+        </span>
+        {runs.map((r) => (
+          <span key={r.name} className="text-xs tabular-nums" style={{ color: r.color }}>
+            {r.label}: {r.episodes} ep · {r.scalars.length} pts
+          </span>
+        ))}
+        <label className="check text-sm ml-auto">
+          <input type="checkbox" checked={follow} onChange={(e) => onFollowChange(e.target.checked)} /> Follow latest episode
+        </label>
+        <button className={`btn ${enabled ? "ring-2 ring-emerald-400/70" : ""}`} onClick={() => onEnabledChange(!enabled)}>
+          {enabled ? "Disconnect" : "Go live"}
+        </button>
+      </div>
+
+      {keys.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {keys.map((k) => (
+            <button key={k} className={`btn text-xs ${k === key ? "ring-2 ring-sky-400" : ""}`} onClick={() => setPicked(k)}>
+              {k}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="h-40 flex items-center justify-center text-sm text-slate-400">
+          {enabled ? "Waiting for the trainer to publish…" : "Not connected"}
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={rows} margin={{ left: 8, right: 16, top: 8, bottom: 0 }}>
+            <CartesianGrid stroke="#94a3b8" strokeOpacity={0.15} />
+            <XAxis dataKey="step" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} width={64} tickFormatter={(v) => v.toPrecision(3)} domain={["auto", "auto"]} />
+            <Tooltip formatter={(v) => (typeof v === "number" ? v.toPrecision(5) : v)} labelFormatter={(x) => `Step ${x}`} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            {runs.map((r, k) => (
+              <Line
+                key={r.name}
+                type="linear"
+                dataKey={`s${k}`}
+                name={r.label}
+                stroke={r.color}
+                strokeWidth={1.5}
+                dot={rows.length < 60}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="footnote">
+        Trainers POST episodes to <code>/api/telemetry/episode</code> and scalars to <code>/api/telemetry/scalars</code>
+        (see <code>server/telemetry.js</code>); <code>npm run telemetry:mock</code> publishes a fake training run.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+// src/components/ManeuverPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine, ReferenceArea,
+} from "recharts";
+import { detectManeuvers } from "../lib/maneuvers.js";
+import { alignSeries } from "../lib/alignment.js";
+import { mergeSeries } from "./chartSeries.js";
+
+const THRESHOLDS = [0.1, 0.25, 0.5, 0.9]; // fraction of thrust_max
+const GAPS = [0, 2, 5, 10];
+const MAX_POINTS = 1500;
+const AXES = ["R", "T", "N"];
+
+// episode → Map(settings → maneuvers); episodes are immutable once built
+const cache = new WeakMap();
+function maneuversCached(ep, threshold, gap) {
+  let byKey = cache.get(ep);
+  if (!byKey) cache.set(ep, (byKey = new Map()));
+  const key = `${threshold}:${gap}`;
+  if (!byKey.has(key)) byKey.set(key, detectManeuvers(ep, { threshold, gap }));
+  return byKey.get(key);
+}
+
+const signed = (x, d) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(d)}`;
+
+// Dominant RTN axis of a unit direction, e.g. "+T" for a prograde burn
+function dominant(dir) {
+  const k = dir.reduce((best, x, i) => (Math.abs(x) > Math.abs(dir[best]) ? i : best), 0);
+  return dir[k] === 0 ? "—" : `${dir[k] > 0 ? "+" : "−"}${AXES[k]}`;
+}
+
+function thin(data) {
+  const step = Math.ceil(data.length / MAX_POINTS);
+  return step > 1 ? data.filter((_, i) => i % step === 0 || i === data.length - 1) : data;
+}
+
+/**
+ * ManeuverPanel
+ * - Groups contiguous thrust of the active episode into burns (src/lib/maneuvers.js): a table of
+ *   Δv, duration, mean RTN direction and the change in a, e and energy per burn, and a cumulative
+ *   Δv budget chart for every run (burns of the picked run shaded)
+ * - Click a burn or the chart to seek
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes }]
+ *  - activeEp, thrustMax (burn thresholds are fractions of it)
+ *  - aligners, cursor, axisLabel: time alignment (see ChartPanel)
+ *  - onSeek(x): x on the alignment axis
+ */
+export default function ManeuverPanel({ runs, activeEp, thrustMax = 0.02, aligners = [], cursor, axisLabel = "Frame", onSeek }) {
+  const [fraction, setFraction] = useState(0.25);
+  const [gap, setGap] = useState(2);
+  const [picked, setPicked] = useState(0);
+  const slot = Math.min(picked, Math.max(0, runs.length - 1));
+  const threshold = fraction * thrustMax;
+
+  const results = useMemo(
+    () => runs.map((r) => (r.episodes[activeEp]?.length ? maneuversCached(r.episodes[activeEp], threshold, gap) : null)),
+    [runs, activeEp, threshold, gap]
+  );
+  const series = useMemo(
+    () => runs.map((r, k) => ({ label: r.label, color: r.color, data: alignSeries(results[k] ? thin(results[k].cumulative) : null, aligners[k]) })),
+    [runs, results, aligners]
+  );
+  const rows = useMemo(() => mergeSeries(series), [series]);
+
+  const at = (k, frame) => (aligners[k] ? aligners[k].phaseOf(frame) : frame);
+  const burns = results[slot]?.burns || [];
+  const seek = (state) => {
+    const x = Number(state?.activeLabel);
+    if (Number.isFinite(x)) onSeek(x);
+  };
+  const cols = { gridTemplateColumns: "0.4fr 1.2fr 0.8fr 0.9fr 0.9fr 1.8fr 0.9fr 0.9fr 0.9fr" };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">Maneuvers — Episode {activeEp + 1}</h3>
+        <label className="flex items-center gap-1.5 text-sm">
+          Burn when |u| &gt;
+          <select className="sel" value={fraction} onChange={(e) => setFraction(Number(e.target.value))}>
+            {THRESHOLDS.map((f) => <option key={f} value={f}>{Math.round(f * 100)}% of thrust_max</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5 text-sm">
+          Merge gaps ≤
+          <select className="sel" value={gap} onChange={(e) => setGap(Number(e.target.value))}>
+            {GAPS.map((g) => <option key={g} value={g}>{g} frames</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-1 mb-3 text-xs">
+        {runs.map((r, k) => {
+          const res = results[k];
+          const dE = res?.burns.reduce((s, b) => s + b.dE, 0) ?? 0;
+          return (
+            <div key={r.id} className="flex flex-wrap gap-x-3">
+              <span className="font-semibold" style={{ color: r.color }}>{r.label}</span>
+              {res ? (
+                <span className="text-slate-300 tabular-nums">
+                  {res.burns.length} burn{res.burns.length === 1 ? "" : "s"} · Δv {res.totalDv.toFixed(4)} total,{" "}
+                  {res.burnDv.toFixed(4)} in burns · ΔE over burns {signed(dE, 4)}
+                </span>
+              ) : (
+                <span className="text-slate-400">no frames</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-slate-400">No data</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={rows} margin={{ left: 8, right: 16, top: 8, bottom: 0 }} onClick={seek} style={{ cursor: "crosshair" }}>
+            <CartesianGrid stroke="#94a3b8" strokeOpacity={0.15} />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} width={64} tickFormatter={(v) => v.toPrecision(3)} />
+            <Tooltip
+              formatter={(v, name) => [typeof v === "number" ? v.toFixed(4) : v, `${name} Δv`]}
+              labelFormatter={(x) => `${axisLabel} ${Number.isInteger(x) ? x : Number(x).toFixed(1)}`}
+            />
+            {burns.map((b) => (
+              <ReferenceArea
+                key={b.index}
+                x1={at(slot, b.start)}
+                x2={at(slot, b.end)}
+                fill={runs[slot]?.color}
+                fillOpacity={0.12}
+                ifOverflow="hidden"
+              />
+            ))}
+            {series.map((s, k) => (
+              <Line
+                key={k}
+                type="linear"
+                dataKey={`s${k}`}
+                name={s.label}
+                stroke={s.color}
+                strokeWidth={1.5}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+            {cursor != null && <ReferenceLine x={cursor} stroke="#f8fafc" strokeDasharray="4 3" ifOverflow="hidden" />}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mt-3 mb-2">
+        <span className="text-sm font-semibold">Burns</span>
+        {runs.length > 1 && (
+          <select className="sel" value={slot} onChange={(e) => setPicked(Number(e.target.value))}>
+            {runs.map((r, k) => <option key={r.id} value={k}>{r.label}</option>)}
+          </select>
+        )}
+      </div>
+      <div className="grid gap-2 px-3 text-xs label" style={cols}>
+        <div>#</div><div>Frames</div><div>Duration</div><div>Δv</div><div>Peak |u|</div>
+        <div>Direction (R / T / N)</div><div>Δa</div><div>Δe</div><div>ΔE</div>
+      </div>
+      <div className="max-h-72 overflow-y-auto space-y-1 mt-1">
+        {burns.map((b) => (
+          <div
+            key={b.index}
+            className="mini-card py-1.5 grid gap-2 items-center text-xs tabular-nums cursor-pointer hover:bg-white/10"
+            style={cols}
+            onClick={() => onSeek(at(slot, b.start))}
+          >
+            <div>{b.index + 1}</div>
+            <div>{b.start}–{b.end}</div>
+            <div>{b.duration.toFixed(2)}</div>
+            <div>{b.dv.toFixed(4)}</div>
+            <div>{b.peak.toFixed(4)}</div>
+            <div>
+              <span className="font-semibold">{dominant(b.direction)}</span>
+              <span className="text-slate-400"> {b.direction.map((x) => signed(x, 2)).join(" / ")}</span>
+            </div>
+            <div>{signed(b.da, 4)}</div>
+            <div>{signed(b.de, 4)}</div>
+            <div>{signed(b.dE, 4)}</div>
+          </div>
+        ))}
+        {burns.length === 0 && <div className="text-sm text-slate-400 px-3 py-4">No burns above the threshold.</div>}
+      </div>
+
+      <div className="footnote">
+        Thrust is an acceleration: Δv = ∑|u|·dt (dt = 0.01). A burn is a run of frames with |u| above the threshold
+        ({threshold.toPrecision(2)}), bridging short coasts; its direction is the summed Δv in the local
+        radial / tangential / normal frame, and Δa, Δe, ΔE compare the orbit just before and just after it.
+      </div>
+    </div>
+  );
+}
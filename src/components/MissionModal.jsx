@@ -23,6 +23,7 @@ export default function MissionModal({ open, onClose, onCreate, defaultMission }
       tol_v: 0.05,
       max_steps: 3000,
       thrust_max: 0.02,
+      thrust_spike: 0.02,
       reward_weights: { w_pos: 1.0, w_vel: 0.5, w_fuel: 0.05 },
     }
   );
@@ -39,7 +40,7 @@ export default function MissionModal({ open, onClose, onCreate, defaultMission }
           system: "You are an orbital mechanics tutor. Output compact JSON only.",
           prompt:
             `Suggest mission parameters for a satellite station-keeping task from this description.\n` +
-            `Return JSON with keys: name, r_target, tol_r, tol_v, max_steps, thrust_max, reward_weights({w_pos,w_vel,w_fuel}).\n` +
+            `Return JSON with keys: name, r_target, tol_r, tol_v, max_steps, thrust_max, thrust_spike, reward_weights({w_pos,w_vel,w_fuel}).\n` +
             `Description: ${goalText}`,
           json: true,
         }),
@@ -149,6 +150,12 @@ export default function MissionModal({ open, onClose, onCreate, defaultMission }
                        value={mission.thrust_max}
                        onChange={(e)=>update("thrust_max", parseFloat(e.target.value)||0)} />
               </div>
+              <div>
+                <label className="text-sm">Thrust event threshold |u| (thrust_spike)</label>
+                <input type="number" step="0.001" className="w-full rounded border p-2"
+                       value={mission.thrust_spike ?? 0.02}
+                       onChange={(e)=>update("thrust_spike", parseFloat(e.target.value)||0)} />
+              </div>
               <div>
                 <label className="text-sm">w_pos</label>
                 <input type="number" step="0.01" className="w-full rounded border p-2"
@@ -167,6 +174,11 @@ export default function MissionModal({ open, onClose, onCreate, defaultMission }
                        value={mission.reward_weights.w_fuel}
                        onChange={(e)=>updateRW("w_fuel", parseFloat(e.target.value)||0)} />
               </div>
+              <p className="col-span-2 text-xs text-slate-500">
+                Max thrust clips each thrust component in the environment. The thrust event threshold is separate: frames
+                with |u| above it show up as thrust events on the timeline and in the metrics, whatever the clip
+                (|u| can reach thrust_max·√3 ≈ {((mission.thrust_max || 0) * Math.sqrt(3)).toFixed(3)}).
+              </p>
             </div>
           )}
         </div>
@@ -0,0 +1,118 @@
+// src/components/PhysicsPanel.jsx
+import React, { useMemo, useState } from "react";
+import { DEFAULT_PHYSICS_CONFIG, PHYSICS_CHECKS, checkEpisode } from "../lib/physics.js";
+
+const TOLERANCES = [1e-8, 1e-6, 1e-5, 1e-4, 1e-3];
+const MAX_LISTED = 24;
+
+const CHECK_LABELS = {
+  E: "Energy E", H: "Ang. momentum H", v_circ: "v_circ", pos_err: "pos_err",
+  v_rad: "v_rad", v_tan: "v_tan", v_tan_err: "v_tan_err",
+  step_r: "Next state r", step_v: "Next state v",
+};
+
+// episode → Map(tol → result); episodes are immutable once built
+const cache = new WeakMap();
+function checkCached(ep, tol) {
+  let byTol = cache.get(ep);
+  if (!byTol) cache.set(ep, (byTol = new Map()));
+  if (!byTol.has(tol)) byTol.set(tol, checkEpisode(ep, { ...DEFAULT_PHYSICS_CONFIG, tol }));
+  return byTol.get(tol);
+}
+
+/**
+ * PhysicsPanel
+ * - Recomputes E, H and the station-keeping fields from r/v, re-integrates every step
+ *   (μ = 1, dt = 0.01, logged thrust) and flags frames that disagree with the file
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes }]
+ *  - activeEp
+ *  - aligners: per-run time alignment (src/lib/alignment.js); frames are mapped through it before seeking
+ *  - onSeek(x): x on the alignment axis
+ */
+export default function PhysicsPanel({ runs, activeEp, aligners = [], onSeek }) {
+  const [tol, setTol] = useState(DEFAULT_PHYSICS_CONFIG.tol);
+  const results = useMemo(
+    () => runs.map((r) => (r.episodes[activeEp] ? checkCached(r.episodes[activeEp], tol) : null)),
+    [runs, activeEp, tol]
+  );
+  // A run's own frame → the alignment axis the playhead lives on
+  const seekRun = (k, frame) => onSeek(aligners[k] ? aligners[k].phaseOf(frame) : frame);
+  const cols = { gridTemplateColumns: `minmax(8rem, 1.2fr) repeat(${runs.length}, minmax(0, 1fr))` };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h3 className="section-title mb-0">Physics Check — Episode {activeEp + 1}</h3>
+        <label className="text-xs flex items-center gap-2 ml-auto">
+          Tolerance
+          <select className="sel" value={tol} onChange={(e) => setTol(Number(e.target.value))}>
+            {TOLERANCES.map((t) => <option key={t} value={t}>{t.toExponential(0)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid gap-2 px-3 mb-1 text-xs" style={cols}>
+        <div />
+        {runs.map((r, i) => (
+          <div key={r.id} className="font-semibold truncate" style={{ color: r.color }}>
+            {r.label}{" "}
+            {results[i] && (results[i].ok ? <span className="text-emerald-300">✓ OK</span> : <span className="text-rose-300">✗ failed</span>)}
+          </div>
+        ))}
+      </div>
+
+      {PHYSICS_CHECKS.map((name) => (
+        <div key={name} className="mini-card mt-2 first:mt-0">
+          <div className="grid gap-2 items-center text-xs" style={cols}>
+            <div className="label">{CHECK_LABELS[name]}</div>
+            {results.map((res, i) => {
+              const c = res?.checks[name];
+              if (!c?.checked) return <div key={i} className="value">—</div>;
+              return (
+                <div key={i} className={`value tabular-nums ${c.flagged ? "text-rose-300" : ""}`}>
+                  max {c.maxErr.toExponential(1)}
+                  {c.flagged > 0 && (
+                    <button className="ml-2 underline" onClick={() => seekRun(i, c.maxAt)} title="Jump to the worst frame">
+                      {c.flagged}/{c.checked} @ {c.maxAt}
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {results.some((res) => res && !res.ok) && (
+        <div className="mt-3 space-y-2">
+          {runs.map((r, i) => {
+            const issues = results[i]?.issues || [];
+            if (!issues.length) return null;
+            return (
+              <div key={r.id} className="text-xs">
+                <span className="font-semibold" style={{ color: r.color }}>{r.label}</span> flagged frames:{" "}
+                {issues.slice(0, MAX_LISTED).map((it, k) => (
+                  <button
+                    key={k}
+                    className="mr-1 mb-1 rounded border border-rose-300/40 px-1 text-rose-200"
+                    title={`${it.check}: expected ${it.expected.toPrecision(6)}, logged ${it.actual.toPrecision(6)}`}
+                    onClick={() => seekRun(i, it.t)}
+                  >
+                    {it.t}·{it.check}
+                  </button>
+                ))}
+                {issues.length > MAX_LISTED && <span className="text-slate-400">+{issues.length - MAX_LISTED} more</span>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="footnote">
+        Velocity Verlet, μ = {DEFAULT_PHYSICS_CONFIG.mu}, dt = {DEFAULT_PHYSICS_CONFIG.dt}; also available as <code>npm run rollouts:check</code>
+      </div>
+    </div>
+  );
+}
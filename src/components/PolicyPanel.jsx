@@ -0,0 +1,191 @@
+// src/components/PolicyPanel.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { loadOnnxPolicy } from "../lib/onnxPolicy.js";
+import { OBSERVATIONS, DEFAULT_INITIAL_CONDITIONS, createOrbitalEnv, initialState } from "../lib/orbitalEnv.js";
+import { createEpisodeBuilder, framesToColumns } from "../lib/rolloutColumns.js";
+
+const BATCH = 100; // env steps between updates (and yields to the UI)
+
+const COAST = { label: "Coast (no thrust)", act: async () => [0, 0, 0] };
+
+const CONDITIONS = [
+  { key: "radius", title: "|r₀|", step: 0.01 },
+  { key: "speedFactor", title: "|v₀| / v_circ", step: 0.01 },
+  { key: "inclinationDeg", title: "Inclination °", step: 0.5 },
+  { key: "phaseDeg", title: "Phase °", step: 5 },
+  { key: "flightPathDeg", title: "Flight path °", step: 0.5 },
+];
+
+const REASONS = { max_steps: "reached max steps", escape: "escaped", crash: "fell below r_min", stopped: "stopped" };
+
+/**
+ * PolicyPanel
+ * - Loads an ONNX-exported policy (onnxruntime-web, WASM backend) and rolls it out in the JS port
+ *   of the environment (src/lib/orbitalEnv.js) from editable initial conditions
+ * - Each run becomes a new episode of an in-browser rollout, streamed into the scene and panels as it goes
+ *
+ * Props:
+ *  - envConfig: environment config from the mission (see missionToEnvConfig)
+ *  - onStart(label) → { url, index }: where the new episode goes
+ *  - onFrames(url, index, episode, progress): called per batch with the episode so far
+ */
+export default function PolicyPanel({ envConfig, onStart, onFrames }) {
+  const [policy, setPolicy] = useState(COAST);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [observation, setObservation] = useState(envConfig.observation);
+  const [actionScale, setActionScale] = useState(envConfig.actionScale);
+  const [conditions, setConditions] = useState(DEFAULT_INITIAL_CONDITIONS);
+  const [steps, setSteps] = useState(envConfig.maxSteps);
+  // A new mission's max_steps replaces whatever length was typed in
+  useEffect(() => { setSteps(envConfig.maxSteps); }, [envConfig.maxSteps]);
+  const [status, setStatus] = useState(null); // { running, step, total, reason? }
+  const stop = useRef(false);
+  const inputRef = useRef(null);
+
+  // Stop a running episode and free the session when the panel goes away
+  const policyRef = useRef(policy);
+  policyRef.current = policy;
+  useEffect(() => () => { stop.current = true; policyRef.current.release?.(); }, []);
+
+  async function handleFile(file) {
+    if (!file) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const loaded = await loadOnnxPolicy(await file.arrayBuffer());
+      const match = Object.entries(OBSERVATIONS).find(([, o]) => o.size === loaded.obsSize);
+      if (match) setObservation(match[0]);
+      policy.release?.();
+      setPolicy({ ...loaded, label: file.name.replace(/\.onnx$/i, "") });
+    } catch (e) {
+      console.error("loadOnnxPolicy failed", e);
+      setError(String(e.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function run() {
+    const env = createOrbitalEnv({ ...envConfig, observation, actionScale, maxSteps: steps });
+    let obs = env.reset(initialState(conditions, envConfig.mu));
+    const { url, index } = onStart(policy.label);
+    const builder = createEpisodeBuilder();
+    let batch = [];
+    stop.current = false;
+    setError(null);
+    setStatus({ running: true, step: 0, total: steps });
+    try {
+      for (let k = 1; ; k++) {
+        const step = env.step(await policy.act(obs));
+        obs = step.obs;
+        batch.push(step.frame);
+        const reason = step.done ? step.reason : stop.current ? "stopped" : null;
+        if (!reason && batch.length < BATCH) continue;
+        builder.append(framesToColumns(batch));
+        batch = [];
+        onFrames(url, index, builder.snapshot(), { loaded: k, total: steps, done: reason != null });
+        setStatus({ running: !reason, step: k, total: steps, reason });
+        if (reason) break;
+        await new Promise((resolve) => setTimeout(resolve));
+      }
+    } catch (e) {
+      console.error("policy rollout failed", e);
+      setError(`Inference failed: ${e.message || e}`);
+      setStatus((s) => ({ ...s, running: false, reason: "stopped" }));
+      onFrames(url, index, builder.snapshot(), { done: true, error: String(e.message || e) });
+    }
+  }
+
+  const running = status?.running;
+  const obsMismatch = policy.obsSize && policy.obsSize !== OBSERVATIONS[observation].size;
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">Live Policy</h3>
+        <span className="text-sm text-slate-300">{policy.label}</span>
+        {policy.inputName && (
+          <span className="text-xs text-slate-400">
+            {policy.inputName} [{policy.obsSize ?? "?"}] → {policy.outputName}
+          </span>
+        )}
+        <button className="btn ml-auto" onClick={() => inputRef.current?.click()} disabled={loading || running}>
+          {loading ? "Loading…" : "Load .onnx…"}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".onnx"
+          className="hidden"
+          onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ""; }}
+        />
+        {policy !== COAST && (
+          <button className="btn" onClick={() => { policy.release?.(); setPolicy(COAST); }} disabled={running}>Unload</button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="w-28 text-slate-300">Observation</span>
+            <select className="sel" value={observation} onChange={(e) => setObservation(e.target.value)}>
+              {Object.entries(OBSERVATIONS).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="w-28 text-slate-300">Action</span>
+            <select className="sel" value={actionScale} onChange={(e) => setActionScale(e.target.value)}>
+              <option value="unit">[-1, 1] × thrust_max</option>
+              <option value="raw">acceleration (clipped)</option>
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="w-28 text-slate-300">Max steps</span>
+            <input
+              type="number" min={1} step={100} className="sel w-24" value={steps}
+              onChange={(e) => setSteps(Math.max(1, Math.floor(Number(e.target.value) || 1)))}
+            />
+          </div>
+          {obsMismatch && (
+            <div className="text-xs text-amber-300">
+              The model expects {policy.obsSize} inputs; no built-in observation layout has that size.
+            </div>
+          )}
+        </div>
+
+        <div className="mini-card space-y-1">
+          <div className="label text-xs mb-1">Initial conditions</div>
+          {CONDITIONS.map((c) => (
+            <label key={c.key} className="flex items-center gap-2 text-xs">
+              <span className="w-28 text-slate-300">{c.title}</span>
+              <input
+                type="number" step={c.step} className="sel w-24" value={conditions[c.key]}
+                onChange={(e) => setConditions((prev) => ({ ...prev, [c.key]: Number(e.target.value) }))}
+              />
+            </label>
+          ))}
+          <button className="btn text-xs" onClick={() => setConditions(DEFAULT_INITIAL_CONDITIONS)}>Reset</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+        {running
+          ? <button className="btn" onClick={() => { stop.current = true; }}>Stop</button>
+          : <button className="btn" onClick={run} disabled={loading || obsMismatch}>Run episode</button>}
+        {status && (
+          <span className="text-xs text-slate-400 tabular-nums">
+            step {status.step}/{status.total}{status.reason ? ` — ${REASONS[status.reason]}` : ""}
+          </span>
+        )}
+        {error && <span className="text-xs text-rose-300">{error}</span>}
+      </div>
+
+      <div className="footnote">
+        Runs entirely in the browser: velocity Verlet (μ = 1, dt = {envConfig.dt}) with r_target = {envConfig.rTarget} and
+        thrust_max = {envConfig.thrustMax} from the mission. Each run adds an episode to the "{policy.label}" rollout,
+        which can be compared against recorded runs like any other.
+      </div>
+    </div>
+  );
+}
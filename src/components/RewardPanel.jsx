@@ -0,0 +1,173 @@
+// src/components/RewardPanel.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, Tooltip } from "recharts";
+import { DEFAULT_REWARD_WEIGHTS, rewardInputs, rescore, rewardSeries } from "../lib/reward.js";
+
+const TERMS = [
+  { key: "pos", label: "Position", color: "#3b82f6" },
+  { key: "vel", label: "Velocity", color: "#f59e0b" },
+  { key: "fuel", label: "Fuel", color: "#f43f5e" },
+];
+
+// Episodes are immutable once built, so the per-frame error terms are computed once each
+const inputsCache = new WeakMap();
+function inputsFor(ep, rTarget) {
+  let byTarget = inputsCache.get(ep);
+  if (!byTarget) inputsCache.set(ep, (byTarget = new Map()));
+  if (!byTarget.has(rTarget)) byTarget.set(rTarget, rewardInputs(ep, rTarget));
+  return byTarget.get(rTarget);
+}
+
+// null when the file logs no reward (the schema only warns about that); the components are still recomputed
+function loggedSum(ep) {
+  const col = ep.cols.reward;
+  if (!col) return null;
+  let s = 0;
+  for (let i = 0; i < ep.length; i++) if (!Number.isNaN(col[i])) s += col[i];
+  return s;
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const fmt = (x) => (x == null ? "—" : x.toFixed(2));
+
+function TermChart({ data }) {
+  if (!data.length) return <div className="h-32 flex items-center text-xs text-slate-400">—</div>;
+  return (
+    <ResponsiveContainer width="100%" height={128}>
+      <AreaChart data={data} margin={{ left: 0, right: 8, top: 4, bottom: 0 }}>
+        <XAxis dataKey="x" tick={{ fontSize: 10 }} />
+        <YAxis tick={{ fontSize: 10 }} width={48} tickFormatter={(v) => v.toFixed(3)} />
+        <Tooltip formatter={(v) => v.toFixed(4)} labelFormatter={(x) => `Frame ${x}`} />
+        {TERMS.map((t) => (
+          <Area
+            key={t.key}
+            type="monotone"
+            dataKey={t.key}
+            name={t.label}
+            stackId="reward"
+            stroke={t.color}
+            fill={t.color}
+            fillOpacity={0.35}
+            isAnimationActive={false}
+            dot={false}
+          />
+        ))}
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+}
+
+/**
+ * RewardPanel
+ * - Splits each frame's reward into position, velocity and fuel terms (stacked, one chart per run)
+ * - Re-score mode recomputes episode totals under edited weights without retraining
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes }]
+ *  - activeEp
+ *  - weights: mission reward_weights { w_pos, w_vel, w_fuel } (defaults when no mission)
+ *  - rTarget: used only when a rollout has no logged pos_err / v_tan_err
+ */
+export default function RewardPanel({ runs, activeEp, weights, rTarget = 1.0 }) {
+  const base = useMemo(() => ({ ...DEFAULT_REWARD_WEIGHTS, ...(weights || {}) }), [weights]);
+  const [rescoring, setRescoring] = useState(false);
+  const [edited, setEdited] = useState(base);
+  useEffect(() => { setEdited(base); }, [base]);
+  const shown = rescoring ? edited : base;
+
+  const rows = useMemo(() => runs.map((r) => {
+    const ep = r.episodes[activeEp];
+    const inputs = ep ? inputsFor(ep, rTarget) : null;
+    const all = r.episodes.filter(Boolean).map((e) => inputsFor(e, rTarget));
+    return {
+      ...r,
+      series: inputs ? rewardSeries(inputs, shown) : [],
+      logged: ep ? loggedSum(ep) : undefined, // null: the file has no reward column
+      mission: inputs ? rescore(inputs, base) : null,
+      edited: inputs ? rescore(inputs, edited) : null,
+      meanMission: mean(all.map((x) => rescore(x, base).total)),
+      meanEdited: mean(all.map((x) => rescore(x, edited).total)),
+    };
+  }), [runs, activeEp, rTarget, base, edited, shown]);
+
+  const weightInput = (k) => (
+    <label key={k} className="flex items-center gap-1 text-xs">
+      <span className="text-slate-600">{k}</span>
+      <input
+        type="number"
+        step="0.01"
+        className="w-20 rounded border px-1 py-0.5"
+        value={edited[k]}
+        onChange={(e) => setEdited((w) => ({ ...w, [k]: parseFloat(e.target.value) || 0 }))}
+      />
+    </label>
+  );
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Reward Breakdown — Episode {activeEp + 1}</h3>
+
+      <div className="flex flex-wrap items-center gap-4 px-1 mb-2">
+        {TERMS.map((t) => (
+          <span key={t.key} className="flex items-center gap-1 text-xs">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: t.color }} /> {t.label}
+          </span>
+        ))}
+        <label className="flex items-center gap-2 text-xs ml-auto">
+          <input type="checkbox" checked={rescoring} onChange={(e) => setRescoring(e.target.checked)} />
+          Re-score
+        </label>
+        {rescoring && (
+          <>
+            {["w_pos", "w_vel", "w_fuel"].map(weightInput)}
+            <button className="btn" onClick={() => setEdited(base)}>Reset</button>
+          </>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+        {rows.map((r) => (
+          <div key={r.id} className="mini-card">
+            <div className="text-xs font-semibold mb-1" style={{ color: r.color }}>{r.label}</div>
+            <TermChart data={r.series} />
+          </div>
+        ))}
+      </div>
+
+      <div className="mini-card mt-3 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1 pr-3">Run</th>
+              <th className="py-1 pr-3">Logged ∑r</th>
+              <th className="py-1 pr-3">Mission weights</th>
+              {rescoring && <th className="py-1 pr-3">Edited weights</th>}
+              {TERMS.map((t) => <th key={t.key} className="py-1 pr-3">{t.label}</th>)}
+              <th className="py-1 pr-3">Mean / episode</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => {
+              const terms = rescoring ? r.edited : r.mission;
+              return (
+                <tr key={r.id} className="border-t">
+                  <td className="py-1 pr-3 font-semibold" style={{ color: r.color }}>{r.label}</td>
+                  <td className="py-1 pr-3">{r.logged === null ? <span className="text-slate-400">not logged</span> : fmt(r.logged)}</td>
+                  <td className="py-1 pr-3">{fmt(r.mission?.total)}</td>
+                  {rescoring && <td className="py-1 pr-3">{fmt(r.edited?.total)}</td>}
+                  {TERMS.map((t) => <td key={t.key} className="py-1 pr-3">{fmt(terms?.[t.key])}</td>)}
+                  <td className="py-1 pr-3">{fmt(rescoring ? r.meanEdited : r.meanMission)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="footnote">
+        r = −(w_pos·pos_err² + w_vel·(v_tan_err² + v_rad²) + w_fuel·|u|) · weights{" "}
+        {shown.w_pos} / {shown.w_vel} / {shown.w_fuel}
+      </div>
+    </div>
+  );
+}
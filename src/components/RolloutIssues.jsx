@@ -0,0 +1,77 @@
+// src/components/RolloutIssues.jsx
+import React, { useState } from "react";
+
+const MAX_SHOWN = 20;
+
+const where = (e) => (e.ep == null ? "" : e.frame == null ? `ep ${e.ep}` : `ep ${e.ep} · frame ${e.frame}`);
+
+function RunIssues({ run }) {
+  const [open, setOpen] = useState(false);
+  const { report, progress } = run;
+  const errors = report?.errors || [];
+  return (
+    <div className="mini-card">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-semibold" style={{ color: run.color }}>{run.label}</span>
+        {progress?.error && <span className="text-rose-300">Load failed: {progress.error}</span>}
+        {report?.errorCount > 0 && (
+          <span className="text-rose-300">
+            {report.errorCount} error{report.errorCount === 1 ? "" : "s"}
+            {report.invalid > 0 && ` · ${report.invalid} of ${report.frames} frames without a valid state (kept as gaps)`}
+          </span>
+        )}
+        {report?.warnings.length > 0 && (
+          <span className="text-amber-300">{report.warnings.length} warning{report.warnings.length === 1 ? "" : "s"}</span>
+        )}
+        {report && (
+          <span className="text-xs text-slate-400">schema v{report.version ?? "1 (assumed)"}</span>
+        )}
+        {(errors.length > 0 || report?.notes.length > 0) && (
+          <button className="btn text-xs ml-auto" onClick={() => setOpen((o) => !o)}>{open ? "Hide" : "Details"}</button>
+        )}
+      </div>
+
+      {report?.warnings.length > 0 && (
+        <ul className="mt-2 space-y-0.5 text-xs text-amber-200">
+          {report.warnings.map((w, i) => <li key={i}>⚠ {w}</li>)}
+        </ul>
+      )}
+
+      {open && (
+        <div className="mt-2 space-y-0.5 text-xs">
+          {errors.slice(0, MAX_SHOWN).map((e, i) => (
+            <div key={i} className="text-rose-200">
+              <span className="tabular-nums text-slate-400">{where(e)}</span>
+              {e.field && <code className="mx-1">{e.field}</code>} {e.message}
+            </div>
+          ))}
+          {report.errorCount > Math.min(errors.length, MAX_SHOWN) && (
+            <div className="text-slate-400">… and {report.errorCount - Math.min(errors.length, MAX_SHOWN)} more</div>
+          )}
+          {report.notes.map((n, i) => <div key={i} className="text-slate-400">{n}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * RolloutIssues
+ * - Load failures plus schema validation errors and warnings for each loaded run
+ * - Renders nothing while every loaded run is clean
+ *
+ * Props:
+ *  - runs: [{ id, label, color, progress, report }] — `report` from src/lib/rolloutSchema.js
+ */
+export default function RolloutIssues({ runs }) {
+  const flagged = runs.filter((r) => r.progress?.error || r.report?.errorCount > 0 || r.report?.warnings.length > 0);
+  if (flagged.length === 0) return null;
+  return (
+    <div className="card">
+      <h3 className="section-title">Rollout Problems</h3>
+      <div className="space-y-2">
+        {flagged.map((r) => <RunIssues key={r.id} run={r} />)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useRef, useState } from "react";
+import { runColor } from "./runColors.js";
+
+function LoadStatus({ p }) {
+  if (!p || (p.done && !p.error)) return null;
+  if (p.error) return <span className="text-xs text-rose-300" title={p.error}>failed</span>;
+  const pct = p.total ? Math.round((100 * p.loaded) / p.total) : null;
+  return (
+    <span className="text-[11px] text-slate-400 tabular-nums">
+      {pct != null ? `${pct}%` : `${((p.loaded || 0) / 1e6).toFixed(1)} MB`}
+    </span>
+  );
+}
+
+/**
+ * RolloutLibrary
+ * - Picks which rollouts are loaded for comparison (any number, each with its own colour)
+ * - Accepts local rollout JSON files via drag & drop or a file picker
+ *
+ * Props:
+ *  - runs: [{ id, label, local? }]   — everything in the library
+ *  - selected: [id]                  — loaded runs, in display order
+ *  - progress: [{ loaded, total, done, error? }] — per selected run, from the streaming loader
+ *  - onChange(ids)
+ *  - onFiles(FileList) → returns the runs that were added
+ */
+export default function RolloutLibrary({ runs, selected, progress = [], onChange, onFiles }) {
+  const [dragOver, setDragOver] = useState(false);
+  const inputRef = useRef(null);
+
+  function handleFiles(files) {
+    const added = onFiles?.(files) || [];
+    const ids = added.map((r) => r.id).filter((id) => !selected.includes(id));
+    if (ids.length) onChange([...selected, ...ids]);
+  }
+
+  // A run can be loaded once: panels key their rows by run id
+  const replaceAt = (i, id) => { if (!selected.includes(id)) onChange(selected.map((s, k) => (k === i ? id : s))); };
+  const removeAt = (i) => onChange(selected.filter((_, k) => k !== i));
+  const add = (id) => { if (id && !selected.includes(id)) onChange([...selected, id]); };
+
+  // Runs already loaded elsewhere are shown but can't be picked again
+  const options = (own) => runs.map((r) => (
+    <option key={r.id} value={r.id} disabled={r.id !== own && selected.includes(r.id)}>
+      {r.label}{r.local ? " (local)" : ""}
+    </option>
+  ));
+
+  return (
+    <div
+      className={`card flex flex-wrap items-center gap-3 ${dragOver ? "ring-2 ring-sky-400/60" : ""}`}
+      onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => { e.preventDefault(); setDragOver(false); handleFiles(e.dataTransfer.files); }}
+    >
+      <h2 className="section-title mb-0">Rollouts</h2>
+
+      {selected.map((id, i) => (
+        <div key={i} className="flex items-center gap-1.5 text-sm">
+          <span className="inline-block h-3 w-3 rounded-full" style={{ background: runColor(i) }} />
+          <select value={id} onChange={(e) => replaceAt(i, e.target.value)} className="sel">
+            {options(id)}
+          </select>
+          <LoadStatus p={progress[i]} />
+          {selected.length > 1 && (
+            <button onClick={() => removeAt(i)} className="text-xs px-1.5" title="Remove run">✕</button>
+          )}
+        </div>
+      ))}
+
+      <select
+        value=""
+        onChange={(e) => add(e.target.value)}
+        className="sel"
+      >
+        <option value="">+ Add run…</option>
+        {options(null)}
+      </select>
+
+      <button onClick={() => inputRef.current?.click()} className="btn">Open file…</button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,.ndjson,.jsonl,.orb,application/json"
+        multiple
+        className="hidden"
+        onChange={(e) => { handleFiles(e.target.files); e.target.value = ""; }}
+      />
+      <span className="footnote mt-0">or drop rollout files here</span>
+    </div>
+  );
+}
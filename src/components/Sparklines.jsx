@@ -1,38 +1,59 @@
 // src/components/Sparklines.jsx
-import React from "react";
-import { ResponsiveContainer, AreaChart, Area } from "recharts";
+import React, { useMemo } from "react";
+import { ResponsiveContainer, AreaChart, Area, XAxis } from "recharts";
+import { mergeSeries } from "./chartSeries.js";
 
-export function Sparkline({ data = [], dataKey = "y", height = 40 }) {
-  // Expect [{x, y}...]
-  if (!data || data.length === 0) {
+export function Sparkline({ series = [], height = 40 }) {
+  const data = useMemo(() => mergeSeries(series), [series]);
+  if (data.length === 0) {
     return <div className="h-10 flex items-center text-xs text-slate-400">—</div>;
   }
   return (
     <div className="h-10">
       <ResponsiveContainer width="100%" height={height}>
         <AreaChart data={data} margin={{ left: 0, right: 0, top: 4, bottom: 0 }}>
-          <Area type="monotone" dataKey={dataKey} strokeOpacity={0.9} fillOpacity={0.15} />
+          <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} hide />
+          {series.map((s, k) => (
+            <Area
+              key={k}
+              type="monotone"
+              dataKey={`s${k}`}
+              stroke={s.color}
+              fill={s.color}
+              strokeOpacity={0.9}
+              fillOpacity={0.1}
+              isAnimationActive={false}
+              dot={false}
+              connectNulls
+            />
+          ))}
         </AreaChart>
       </ResponsiveContainer>
     </div>
   );
 }
 
-export function SparklineRow({ title, A = [], B = [], fmt=(v)=>v.toFixed?.(2) ?? v }) {
-  const lastA = A?.length ? A[A.length-1].y : null;
-  const lastB = B?.length ? B[B.length-1].y : null;
+export function SparklineRow({ title, series = [], fmt=(v)=>v.toFixed?.(2) ?? v, onExpand }) {
+  const latest = series.map((s) => (s.data?.length ? s.data[s.data.length-1].y : null));
   return (
     <div className="grid grid-cols-5 gap-3 items-center">
-      <div className="col-span-1 text-xs text-slate-600">{title}</div>
-      <div className="col-span-2 rounded-lg border bg-white/60 px-2">
-        <Sparkline data={A} />
+      <div className="col-span-1 text-xs text-slate-600">
+        {title}
+        {onExpand && (
+          <button className="ml-1 text-slate-400 hover:text-slate-200" title="Open in chart panel" onClick={onExpand}>⤢</button>
+        )}
       </div>
-      <div className="col-span-2 rounded-lg border bg-white/60 px-2">
-        <Sparkline data={B} />
+      <div className="col-span-4 rounded-lg border bg-white/60 px-2">
+        <Sparkline series={series} />
       </div>
-      {(lastA != null || lastB != null) && (
+      {latest.some((v) => v != null) && (
         <div className="col-span-5 -mt-1 text-[10px] text-slate-500">
-          Latest: A {lastA != null ? fmt(lastA) : "—"} · B {lastB != null ? fmt(lastB) : "—"}
+          Latest:{" "}
+          {series.map((s, k) => (
+            <span key={k} className="mr-2" style={{ color: s.color }}>
+              {s.label} {latest[k] != null ? fmt(latest[k]) : "—"}
+            </span>
+          ))}
         </div>
       )}
     </div>
@@ -1,45 +1,33 @@
 // src/components/SplitView.jsx
 import React from "react";
-import Scene3D from "../Scene3D.jsx"; // we’ll export Scene3D from a separate file (see edits below)
+import Scene3D from "../Scene3D.jsx";
 
-export default function SplitView({
-  framesA, framesB, frameIdx, showTrail, showThrust, planets, tDays,
-  showAgent, showLabels, planetColors, eccScale, thrustScale
-}) {
+/**
+ * SplitView
+ * - One Scene3D per run in a grid (2 columns, 3 from six runs up)
+ *
+ * Props:
+ *  - runs: [{ slot, label, color, episode, frameIdx? }] — `frameIdx` is the run's aligned frame
+ *  - frameIdx + the remaining Scene3D props, passed through to every canvas (each registers for
+ *    exports under its grid index)
+ */
+export default function SplitView({ runs, ...sceneProps }) {
+  const cols = runs.length >= 5 ? "xl:grid-cols-3" : "xl:grid-cols-2";
+  const height = runs.length > 2 ? "45vh" : "70vh";
   return (
-    <div className="grid grid-cols-1 xl:grid-cols-2 gap-4 mt-6">
-      <div className="rounded-3xl border border-white/10 bg-white/5 overflow-hidden shadow-2xl" style={{ height: "70vh" }}>
-        <div className="px-3 py-2 text-xs text-slate-300 bg-white/5 border-b border-white/10">A · Random</div>
-        <Scene3D
-          frames={framesA}
-          frameIdx={frameIdx}
-          showTrail={showTrail}
-          showThrust={showThrust}
-          planets={planets}
-          tDays={tDays}
-          showAgent={showAgent}
-          showLabels={showLabels}
-          planetColors={planetColors}
-          eccScale={eccScale}
-          thrustScale={thrustScale}
-        />
-      </div>
-      <div className="rounded-3xl border border-white/10 bg-white/5 overflow-hidden shadow-2xl" style={{ height: "70vh" }}>
-        <div className="px-3 py-2 text-xs text-slate-300 bg-white/5 border-b border-white/10">B · PPO</div>
-        <Scene3D
-          frames={framesB}
-          frameIdx={frameIdx}
-          showTrail={showTrail}
-          showThrust={showThrust}
-          planets={planets}
-          tDays={tDays}
-          showAgent={showAgent}
-          showLabels={showLabels}
-          planetColors={planetColors}
-          eccScale={eccScale}
-          thrustScale={thrustScale}
-        />
-      </div>
+    <div className={`grid grid-cols-1 md:grid-cols-2 ${cols} gap-4`}>
+      {runs.map((r, i) => (
+        <div key={i} className="canvas-shell flex flex-col" style={{ height }}>
+          <div className="px-3 py-2 text-xs text-slate-300 bg-white/5 border-b border-white/10 flex items-center gap-2">
+            <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: r.color }} />
+            {String.fromCharCode(65 + i)} · {r.label}
+            {r.frameIdx != null && <span className="ml-auto tabular-nums text-slate-400">frame {r.frameIdx}</span>}
+          </div>
+          <div className="flex-1 min-h-0">
+            <Scene3D {...sceneProps} runs={[r]} captureKey={i} />
+          </div>
+        </div>
+      ))}
     </div>
   );
 }
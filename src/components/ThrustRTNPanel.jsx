@@ -0,0 +1,147 @@
+// src/components/ThrustRTNPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine, Legend,
+} from "recharts";
+import { thrustRTNHistory } from "../lib/orbits.js";
+import { DEFAULT_ENV_CONFIG } from "../lib/orbitalEnv.js";
+import { alignSeries } from "../lib/alignment.js";
+import { mergeSeries } from "./chartSeries.js";
+
+const AXES = [
+  { key: "R", label: "Radial", color: "#f87171" },
+  { key: "T", label: "Tangential", color: "#4ade80" },
+  { key: "N", label: "Normal", color: "#60a5fa" },
+];
+const MAX_POINTS = 2000;
+
+// episode → { history, data: { R, T, N: [{x,y}] }, totals }; episodes are immutable once built
+const cache = new WeakMap();
+function decompose(ep) {
+  if (!cache.has(ep)) {
+    const history = thrustRTNHistory(ep);
+    const step = Math.max(1, Math.ceil(ep.length / MAX_POINTS));
+    const data = {};
+    const totals = {};
+    for (const { key } of AXES) {
+      const col = history[key];
+      data[key] = [];
+      let abs = 0, net = 0;
+      for (let i = 0; i < ep.length; i++) {
+        abs += Math.abs(col[i]);
+        net += col[i];
+        if (i % step === 0) data[key].push({ x: i, y: col[i] });
+      }
+      totals[key] = { abs, dv: net * DEFAULT_ENV_CONFIG.dt };
+    }
+    cache.set(ep, { data, totals, fuel: AXES.reduce((s, a) => s + totals[a.key].abs, 0) });
+  }
+  return cache.get(ep);
+}
+
+const signed = (x, d) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(d)}`;
+
+/**
+ * ThrustRTNPanel
+ * - Thrust of the active episode split into radial / tangential / normal components (local orbital
+ *   frame at each state): the three components over time for one run, and per-axis totals for
+ *   every run — ∑|u| per axis with its share, and the net Δv along each axis
+ *
+ * Props:
+ *  - runs: [{ id, label, color, episodes }]
+ *  - activeEp
+ *  - aligners, cursor, axisLabel: time alignment (see ChartPanel)
+ *  - onSeek(x): x on the alignment axis
+ */
+export default function ThrustRTNPanel({ runs, activeEp, aligners = [], cursor, axisLabel = "Frame", onSeek }) {
+  const [picked, setPicked] = useState(0);
+  const slot = Math.min(picked, Math.max(0, runs.length - 1));
+
+  const results = useMemo(
+    () => runs.map((r) => (r.episodes[activeEp]?.length ? decompose(r.episodes[activeEp]) : null)),
+    [runs, activeEp]
+  );
+  const rows = useMemo(() => {
+    const res = results[slot];
+    if (!res) return [];
+    return mergeSeries(AXES.map((a) => ({ data: alignSeries(res.data[a.key], aligners[slot]) })));
+  }, [results, slot, aligners]);
+
+  const seek = (state) => {
+    const x = Number(state?.activeLabel);
+    if (Number.isFinite(x)) onSeek(x);
+  };
+  const cols = { gridTemplateColumns: `minmax(8rem, 1.2fr) repeat(${AXES.length * 2}, minmax(0, 1fr))` };
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h3 className="section-title mb-0">Thrust in RTN — Episode {activeEp + 1}</h3>
+        {runs.length > 1 && (
+          <select className="sel" value={slot} onChange={(e) => setPicked(Number(e.target.value))}>
+            {runs.map((r, k) => <option key={r.id} value={k}>{r.label}</option>)}
+          </select>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-slate-400">No thrust data</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={rows} margin={{ left: 8, right: 16, top: 8, bottom: 0 }} onClick={seek} style={{ cursor: "crosshair" }}>
+            <CartesianGrid stroke="#94a3b8" strokeOpacity={0.15} />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} width={64} tickFormatter={(v) => v.toPrecision(2)} />
+            <Tooltip
+              formatter={(v) => (typeof v === "number" ? v.toExponential(3) : v)}
+              labelFormatter={(x) => `${axisLabel} ${Number.isInteger(x) ? x : Number(x).toFixed(1)}`}
+            />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            {AXES.map((a, k) => (
+              <Line
+                key={a.key}
+                type="linear"
+                dataKey={`s${k}`}
+                name={`u_${a.key} ${a.label.toLowerCase()}`}
+                stroke={a.color}
+                strokeWidth={1.2}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine y={0} stroke="#94a3b8" strokeOpacity={0.4} />
+            {cursor != null && <ReferenceLine x={cursor} stroke="#f8fafc" strokeDasharray="4 3" ifOverflow="hidden" />}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="grid gap-2 px-3 mt-3 mb-1 text-xs label" style={cols}>
+        <div>Run</div>
+        {AXES.map((a) => <div key={a.key} style={{ color: a.color }}>∑|u_{a.key}|</div>)}
+        {AXES.map((a) => <div key={a.key} style={{ color: a.color }}>Net Δv {a.key}</div>)}
+      </div>
+      {runs.map((r, k) => {
+        const res = results[k];
+        return (
+          <div key={r.id} className="mini-card mt-1 grid gap-2 items-center text-xs tabular-nums" style={cols}>
+            <div className="font-semibold truncate" style={{ color: r.color }}>{r.label}</div>
+            {AXES.map((a) => (
+              <div key={a.key} className="value">
+                {res ? res.totals[a.key].abs.toFixed(3) : "—"}
+                {res?.fuel > 0 && <span className="text-slate-400"> ({Math.round((100 * res.totals[a.key].abs) / res.fuel)}%)</span>}
+              </div>
+            ))}
+            {AXES.map((a) => <div key={a.key} className="value">{res ? signed(res.totals[a.key].dv, 4) : "—"}</div>)}
+          </div>
+        );
+      })}
+
+      <div className="footnote">
+        Components along the local radial (R, away from the central body), tangential (T, along-track) and normal
+        (N, orbit normal) axes. ∑|u| per axis uses the same units as the fuel total; net Δv = ∑u·dt (dt = {DEFAULT_ENV_CONFIG.dt}).
+        Toggle <em>RTN components</em> / <em>RTN triad</em> in Playback to see them in the scene.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+// src/components/Timeline.jsx
+import React, { memo, useEffect, useMemo, useRef, useState } from "react";
+
+const LANES = [
+  { type: "thrust", label: "Burns", color: "bg-sky-400" },
+  { type: "entered_tol", label: "Capture", color: "bg-emerald-400" },
+  { type: "in_tol", label: "In tol", color: "bg-emerald-700" },
+  { type: "too_close", label: "Too close", color: "bg-amber-400" },
+  { type: "escape", label: "Escape", color: "bg-rose-500" },
+];
+
+const MAX_ZOOM = 64;
+
+const clamp = (x, a, b) => Math.min(Math.max(x, a), b);
+const span = (a, b) => `${a}–${b} (${b - a + 1} frame${b === a ? "" : "s"})`;
+
+// Thrust events are per frame; consecutive frames merge into one burn
+function mergeBurns(events) {
+  const burns = [];
+  for (const ev of events) {
+    if (ev.type !== "thrust") continue;
+    const last = burns[burns.length - 1];
+    if (last && ev.t === last.end + 1) {
+      last.end = ev.t;
+      last.peak = Math.max(last.peak, ev.mag);
+      last.sum += ev.mag;
+    } else {
+      burns.push({ start: ev.t, end: ev.t, peak: ev.mag, sum: ev.mag });
+    }
+  }
+  return burns;
+}
+
+// One run's metrics → { [type]: [{ from, to, tip }] } in timeline frames (`to` null for point events)
+function buildLanes(metrics, toFrame) {
+  const events = metrics?.events || [];
+  const at = (type) => events.filter((ev) => ev.type === type);
+  return {
+    thrust: mergeBurns(events).map((b) => ({
+      from: toFrame(b.start), to: toFrame(b.end),
+      tip: `Burn ${span(b.start, b.end)} · peak |u| ${b.peak.toFixed(4)} · ∑|u| ${b.sum.toFixed(3)}`,
+    })),
+    entered_tol: at("entered_tol").map((ev) => ({ from: toFrame(ev.t), to: null, tip: `Captured @ ${ev.t}` })),
+    in_tol: (metrics?.inTolRanges || []).map(([a, b]) => ({ from: toFrame(a), to: toFrame(b), tip: `In tolerance ${span(a, b)}` })),
+    too_close: at("too_close").map((ev) => ({ from: toFrame(ev.t), to: null, tip: `Too close @ ${ev.t} · r = ${ev.r.toFixed(3)}` })),
+    escape: at("escape").map((ev) => ({ from: toFrame(ev.t), to: null, tip: `Escape @ ${ev.t} · r = ${ev.r.toFixed(3)}` })),
+  };
+}
+
+/** Lane rows, memoised so the playhead moving doesn't re-render every marker */
+const LaneRows = memo(function LaneRows({ runs, lanes, from, to, onSeek, onHover }) {
+  const width = Math.max(1e-9, to - from);
+  const pct = (f) => ((f - from) / width) * 100;
+  return runs.map((r, k) => (
+    <div key={k} className="mb-1 last:mb-0">
+      <div className="flex items-center gap-1 text-[10px] leading-3 text-slate-300">
+        <span className="inline-block h-2 w-2 rounded-full" style={{ background: r.color }} />
+        <span className="truncate">{r.label}</span>
+      </div>
+      {LANES.map((lane) => (
+        <div key={lane.type} className="relative h-2.5 my-px rounded-sm bg-white/5">
+          {lanes[k][lane.type].map((item, i) => {
+            const end = item.to ?? item.from;
+            if (end < from || item.from > to) return null;
+            const left = pct(Math.max(item.from, from));
+            const style = item.to == null
+              ? { left: `calc(${left}% - 1px)`, width: "3px" }
+              : { left: `${left}%`, width: `max(2px, ${pct(Math.min(end, to)) - left}%)` };
+            return (
+              <button
+                key={i}
+                className={`absolute inset-y-0 rounded-sm ${lane.color} ${lane.type === "in_tol" ? "opacity-60" : ""}`}
+                style={style}
+                onClick={(e) => { e.stopPropagation(); onSeek(Math.round(clamp(item.from, from, to))); }}
+                onMouseEnter={() => onHover({ x: clamp(left, 0, 100), text: item.tip })}
+                onMouseLeave={() => onHover(null)}
+              />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  ));
+});
+
+/**
+ * Timeline
+ * - Playback scrubber with one group of lanes per run: merged burns, capture, in-tolerance
+ *   stretches, too-close and escape crossings; hover for details, click to seek
+ * - Wheel (or − / +) zooms around the pointer, the view follows the playhead;
+ *   <kbd>[</kbd> / <kbd>]</kbd> jump to the previous / next event of any run
+ *
+ * Props:
+ *  - max, value, onChange(frame) — frames of the run driving playback
+ *  - runs: [{ label, color, metrics, toFrame? }] — `toFrame` maps the run's frames onto the
+ *    timeline (time alignment); identity when omitted
+ */
+export default function Timeline({ max, value, onChange, runs = [] }) {
+  const [zoom, setZoom] = useState(1);
+  const [start, setStart] = useState(0);
+  const [hover, setHover] = useState(null);
+  const lanesRef = useRef(null);
+
+  const width = Math.max(1, max / zoom);
+  const from = clamp(start, 0, Math.max(0, max - width));
+  const to = from + width;
+
+  const lanes = useMemo(() => runs.map((r) => buildLanes(r.metrics, r.toFrame || ((f) => f))), [runs]);
+  const stops = useMemo(() => {
+    const all = new Set();
+    for (const run of lanes) for (const type in run) for (const item of run[type]) all.add(Math.round(item.from));
+    return [...all].filter((f) => f >= 0 && f <= max).sort((a, b) => a - b);
+  }, [lanes, max]);
+
+  // Keep the playhead in view when zoomed in
+  useEffect(() => {
+    if (zoom > 1 && (value < from || value > to)) setStart(value - width * 0.1);
+  }, [value, from, to, width, zoom]);
+
+  const zoomAt = (factor, anchor = value) => {
+    const next = clamp(zoom * factor, 1, MAX_ZOOM);
+    const nextWidth = max / next;
+    setZoom(next);
+    setStart(anchor - ((anchor - from) * nextWidth) / width);
+  };
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  const zoomRef = useRef(zoomAt);
+  zoomRef.current = zoomAt;
+  useEffect(() => {
+    const el = lanesRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const box = el.getBoundingClientRect();
+      const anchor = from + ((e.clientX - box.left) / Math.max(1, box.width)) * width;
+      zoomRef.current(e.deltaY < 0 ? 1.25 : 0.8, anchor);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [from, width, runs.length]);
+
+  const prev = stops.filter((f) => f < value).pop();
+  const next = stops.find((f) => f > value);
+
+  const navRef = useRef({});
+  navRef.current = { prev, next, onChange };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName) && e.target.type !== "range") return;
+      const { prev, next, onChange } = navRef.current;
+      if (e.key === "[" && prev != null) onChange(prev);
+      if (e.key === "]" && next != null) onChange(next);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const seekAt = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    onChange(Math.round(clamp(from + ((e.clientX - box.left) / Math.max(1, box.width)) * width, 0, max)));
+  };
+  const playhead = ((value - from) / width) * 100;
+
+  return (
+    <div className="w-full">
+      {runs.length > 0 && (
+        <div ref={lanesRef} className="relative cursor-crosshair" onClick={seekAt}>
+          <LaneRows runs={runs} lanes={lanes} from={from} to={to} onSeek={onChange} onHover={setHover} />
+          {playhead >= 0 && playhead <= 100 && (
+            <div className="pointer-events-none absolute inset-y-0 w-px bg-slate-100" style={{ left: `${playhead}%` }} />
+          )}
+          {hover && (
+            <div
+              className="pointer-events-none absolute bottom-full mb-1 z-10 whitespace-nowrap rounded-md border border-white/15 bg-black/80 px-2 py-1 text-[11px]"
+              style={{ left: `${hover.x}%`, transform: `translateX(-${hover.x}%)` }}
+            >
+              {hover.text}
+            </div>
+          )}
+        </div>
+      )}
+      <input
+        type="range"
+        min={Math.floor(from)}
+        max={Math.max(0, Math.ceil(to))}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full"
+      />
+      {runs.length > 0 && (
+        <div className="flex flex-wrap gap-x-2 text-[10px] text-slate-400">
+          {LANES.map((lane) => (
+            <span key={lane.type} className="flex items-center gap-1">
+              <span className={`inline-block h-2 w-2 rounded-sm ${lane.color}`} />{lane.label}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-1.5 text-xs text-slate-400 mt-1">
+        <span>Frame {value}/{max}</span>
+        <div className="ml-auto flex items-center gap-1">
+          <button className="btn text-xs px-2 py-0.5" title="Previous event ([)" disabled={prev == null} onClick={() => onChange(prev)}>◀</button>
+          <button className="btn text-xs px-2 py-0.5" title="Next event (])" disabled={next == null} onClick={() => onChange(next)}>▶</button>
+          <button className="btn text-xs px-2 py-0.5" title="Zoom out" disabled={zoom <= 1} onClick={() => zoomAt(0.5)}>−</button>
+          <button className="btn text-xs px-2 py-0.5" title="Zoom in" disabled={zoom >= MAX_ZOOM} onClick={() => zoomAt(2)}>+</button>
+          {zoom > 1 && <button className="btn text-xs px-2 py-0.5" onClick={() => { setZoom(1); setStart(0); }}>Fit</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
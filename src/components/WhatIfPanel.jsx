@@ -0,0 +1,125 @@
+// src/components/WhatIfPanel.jsx
+import React from "react";
+
+const fmt = (x, d = 2) => (x == null ? "—" : typeof x === "number" ? x.toFixed(d) : x);
+const diff = (a, b, d = 2) => (a == null || b == null ? "—" : `${b - a >= 0 ? "+" : ""}${(b - a).toFixed(d)}`);
+
+const ROWS = [
+  { title: "Total reward", get: (m) => m.rewardSum, d: 2 },
+  { title: "Total fuel (∑|u|)", get: (m) => m.fuelSum, d: 3 },
+  { title: "Captured at", get: (m) => m.capturedAt, d: 0 },
+  { title: "% in tolerance", get: (m) => m.pctInTol * 100, d: 1 },
+  { title: "Too close at", get: (m) => m.tooCloseAt, d: 0 },
+  { title: "Escaped at", get: (m) => m.escapedAt, d: 0 },
+];
+
+const num = (v, fallback = 0) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+/**
+ * WhatIfPanel
+ * - Forks the active run at a frame and replays it with edited thrust (zero, scaled, or an extra
+ *   impulse in the radial/tangential/normal frame); the ghost is drawn dashed in the scene
+ *
+ * Props:
+ *  - settings: { enabled, from, thrust, scale, impulseOn, impulseAt, dv: [R, T, N] }, onChange(settings)
+ *  - frameIdx, frameCount
+ *  - label, color: the run being forked
+ *  - recorded, ghost: analytics metrics (src/lib/analytics.js) for the recording and the replay
+ */
+export default function WhatIfPanel({ settings, onChange, frameIdx, frameCount, label, color, recorded, ghost }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const last = Math.max(0, frameCount - 1);
+  const frameInput = (value, key) => (
+    <input
+      type="number" min={0} max={last} className="sel w-24"
+      value={value}
+      onChange={(e) => set({ [key]: Math.min(last, Math.max(0, Math.floor(num(e.target.value)))) })}
+    />
+  );
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="section-title mb-0">What-if Replay — <span style={{ color }}>{label ?? "—"}</span></h3>
+        <label className="check ml-auto text-sm">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => set({ enabled: e.target.checked })} /> Show ghost
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="w-28 text-slate-300">Fork at frame</span>
+            {frameInput(settings.from, "from")}
+            <button className="btn text-xs" onClick={() => set({ from: frameIdx })}>Use current ({frameIdx})</button>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="w-28 text-slate-300">Then thrust</span>
+            <select className="sel" value={settings.thrust} onChange={(e) => set({ thrust: e.target.value })}>
+              <option value="recorded">as recorded</option>
+              <option value="zero">off (coast)</option>
+              <option value="scale">scaled</option>
+            </select>
+            {settings.thrust === "scale" && (
+              <>
+                <input
+                  type="range" min="0" max="3" step="0.05" className="w-28"
+                  value={settings.scale} onChange={(e) => set({ scale: Number(e.target.value) })}
+                />
+                <span className="w-12 tabular-nums">{settings.scale.toFixed(2)}×</span>
+              </>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="check w-28 text-slate-300">
+              <input type="checkbox" checked={settings.impulseOn} onChange={(e) => set({ impulseOn: e.target.checked })} /> Impulse
+            </label>
+            {settings.impulseOn && (
+              <>
+                <span className="text-xs text-slate-400">at</span>
+                {frameInput(settings.impulseAt, "impulseAt")}
+                {["R", "T", "N"].map((axis, k) => (
+                  <label key={axis} className="flex items-center gap-1 text-xs">
+                    Δv<sub>{axis}</sub>
+                    <input
+                      type="number" step="0.01" className="sel w-20"
+                      value={settings.dv[k]}
+                      onChange={(e) => set({ dv: settings.dv.map((x, j) => (j === k ? num(e.target.value) : x)) })}
+                    />
+                  </label>
+                ))}
+              </>
+            )}
+          </div>
+          {settings.impulseOn && settings.impulseAt <= settings.from && (
+            <div className="text-xs text-amber-300">The impulse must come after the fork frame to have an effect.</div>
+          )}
+        </div>
+
+        <div className="mini-card">
+          <div className="grid grid-cols-4 gap-2 text-xs label mb-1">
+            <div /> <div>Recorded</div> <div>What-if</div> <div>Δ</div>
+          </div>
+          {ROWS.map((row) => {
+            const a = recorded ? row.get(recorded) : null;
+            const b = settings.enabled && ghost ? row.get(ghost) : null;
+            return (
+              <div key={row.title} className="grid grid-cols-4 gap-2 text-xs py-0.5">
+                <div className="label">{row.title}</div>
+                <div className="value">{fmt(a, row.d)}</div>
+                <div className="value">{fmt(b, row.d)}</div>
+                <div className="value">{diff(a, b, row.d)}</div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="footnote">
+        Two-body replay from the recorded state (μ = 1, velocity Verlet, dt = 0.01); thrust is clipped to the mission's
+        thrust_max, the impulse is delivered as a one-step burn and counts towards fuel. Both columns use the same analytics, and
+        reward is recomputed for both under the mission's r_target and reward weights (it can differ from the logged reward).
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+// src/components/cameraModes.js
+// Camera modes of the 3D view (driven by CameraRig, picked in CameraBar).
+export const CAMERA_MODES = [
+  { key: "free", label: "Free" },
+  { key: "follow", label: "Follow spacecraft" },
+  { key: "top", label: "Top-down (ecliptic)" },
+  { key: "planet", label: "Planet-centred" },
+  { key: "director", label: "Auto-director" },
+];
@@ -0,0 +1,16 @@
+// src/components/chartSeries.js
+// Shared data shaping for the recharts-based charts.
+
+// [{label, color, data:[{x,y}]}] → [{x, s0, s1, ...}] sorted by x so every run shares one x axis.
+// Runs sampled at different x (aligned by time or % of episode) get rows with gaps — draw with connectNulls.
+export function mergeSeries(series) {
+  const byX = new Map();
+  series.forEach((s, k) => {
+    (s.data || []).forEach((p) => {
+      let row = byX.get(p.x);
+      if (!row) byX.set(p.x, (row = { x: p.x }));
+      row[`s${k}`] = p.y;
+    });
+  });
+  return [...byX.values()].sort((a, b) => a.x - b.x);
+}
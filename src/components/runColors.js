@@ -0,0 +1,14 @@
+// src/components/runColors.js
+// One colour per loaded run, assigned by position in the comparison list.
+export const RUN_COLORS = [
+  "#38bdf8", // sky
+  "#f472b6", // pink
+  "#a3e635", // lime
+  "#fbbf24", // amber
+  "#c084fc", // violet
+  "#2dd4bf", // teal
+  "#fb7185", // rose
+  "#f97316", // orange
+];
+
+export const runColor = (i) => RUN_COLORS[i % RUN_COLORS.length];
@@ -0,0 +1,48 @@
+// src/components/streamRollout.js
+import { EMPTY_EPISODE, createEpisodeBuilder } from "../lib/rolloutColumns.js";
+
+/**
+ * streamRollout
+ * - Loads a rollout (JSON, NDJSON or binary) in a Web Worker and reports episodes as they arrive
+ *
+ * onUpdate({ episodes, loaded, total, done, report? }) is called per batch with a fresh `episodes` array of
+ * columnar episodes (only the episodes that grew are new objects); the final call carries the
+ * schema validation report (see src/lib/rolloutSchema.js). Returns { promise, cancel }.
+ */
+export function streamRollout(url, { format, onUpdate } = {}) {
+  const worker = new Worker(new URL("../workers/rolloutLoader.worker.js", import.meta.url), { type: "module" });
+  let episodes = [];
+  const builders = [];
+
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "chunk") {
+        if (msg.batches.length) {
+          episodes = [...episodes];
+          for (const { ep, chunk } of msg.batches) {
+            builders[ep] ??= createEpisodeBuilder();
+            builders[ep].append(chunk);
+            episodes[ep] = builders[ep].snapshot();
+          }
+          for (let i = 0; i < episodes.length; i++) episodes[i] ??= EMPTY_EPISODE;
+        }
+        onUpdate?.({ episodes, loaded: msg.loaded, total: msg.total, done: false });
+      } else if (msg.type === "done") {
+        onUpdate?.({ episodes, loaded: msg.loaded, total: msg.total, done: true, report: msg.report });
+        worker.terminate();
+        resolve(episodes);
+      } else if (msg.type === "error") {
+        worker.terminate();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "rollout worker failed"));
+    };
+  });
+
+  worker.postMessage({ url, format });
+  return { promise, cancel: () => worker.terminate() };
+}
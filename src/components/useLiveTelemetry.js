@@ -0,0 +1,95 @@
+// src/components/useLiveTelemetry.js
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createRolloutValidator } from "../lib/rolloutSchema.js";
+import { framesToColumns } from "../lib/rolloutColumns.js";
+
+const NO_STATE = {};
+
+/**
+ * useLiveTelemetry
+ * - Subscribes to the training telemetry stream (server/telemetry.js, Server-Sent Events) while `enabled`
+ * - Every published training run becomes an in-memory library run (addMemoryRun) whose episodes grow
+ *   as training finishes them; frames go through the same schema validator as files
+ * - onRun(run) is called once per new library run (e.g. to add it to the comparison)
+ *
+ * returns { status: "off" | "connecting" | "live" | "error", runs: [{ name, run, scalars }], memory }
+ * where `memory` (url → { episodes, progress, report }) is what useRollouts takes for memory runs
+ */
+export function useLiveTelemetry(enabled, { addMemoryRun, onRun, url = "/api/telemetry/stream" } = {}) {
+  const [status, setStatus] = useState("off");
+  const [state, setState] = useState(NO_STATE); // name → { run, episodes, scalars, report }
+  const libraryRuns = useRef(new Map()); // name → library run (kept across reconnects)
+  const validators = useRef(new Map());
+  const received = useRef(new Map()); // name → Set of episode indices already added
+  const callbacks = useRef({ addMemoryRun, onRun });
+  callbacks.current = { addMemoryRun, onRun };
+
+  useEffect(() => {
+    if (!enabled) { setStatus("off"); return; }
+    setStatus("connecting");
+    const source = new EventSource(url);
+
+    const libraryRun = (name) => {
+      let run = libraryRuns.current.get(name);
+      if (!run) {
+        run = callbacks.current.addMemoryRun(`${name} (live)`);
+        libraryRuns.current.set(name, run);
+        callbacks.current.onRun?.(run);
+      }
+      return run;
+    };
+    const update = (name, fn) => {
+      const run = libraryRun(name);
+      setState((prev) => ({ ...prev, [name]: fn(prev[name] || { run, episodes: [], scalars: [], report: null }) }));
+    };
+
+    source.onopen = () => setStatus("live");
+    source.onerror = () => setStatus(source.readyState === EventSource.CLOSED ? "error" : "connecting");
+
+    // The server replays its history after every (re)connect, so start from scratch
+    source.addEventListener("hello", () => {
+      validators.current = new Map();
+      received.current = new Map();
+      setState(NO_STATE);
+    });
+
+    source.addEventListener("episode", (e) => {
+      const { run: name, index, frames, meta } = JSON.parse(e.data);
+      // The server numbers episodes per run; skip one this page already has (e.g. replayed after a reconnect)
+      if (!received.current.has(name)) received.current.set(name, new Set());
+      if (received.current.get(name).has(index)) return;
+      received.current.get(name).add(index);
+      if (!validators.current.has(name)) validators.current.set(name, createRolloutValidator());
+      const validator = validators.current.get(name);
+      const checked = (frames || []).map((f, i) => validator.frame(f, index, i));
+      const report = validator.report(meta || {});
+      update(name, (cur) => ({ ...cur, episodes: [...cur.episodes, framesToColumns(checked)], report }));
+    });
+
+    source.addEventListener("scalars", (e) => {
+      const { run: name, points } = JSON.parse(e.data);
+      update(name, (cur) => ({ ...cur, scalars: [...cur.scalars, ...points] }));
+    });
+
+    source.addEventListener("reset", (e) => {
+      const { run: name } = JSON.parse(e.data);
+      validators.current.delete(name);
+      received.current.delete(name);
+      setState((prev) => (prev[name] ? { ...prev, [name]: { ...prev[name], episodes: [], scalars: [], report: null } } : prev));
+    });
+
+    return () => source.close();
+  }, [enabled, url]);
+
+  return useMemo(() => {
+    const entries = Object.entries(state);
+    return {
+      status,
+      runs: entries.map(([name, s]) => ({ name, run: s.run, scalars: s.scalars })),
+      memory: Object.fromEntries(entries.map(([, s]) => [
+        s.run.url,
+        { episodes: s.episodes, report: s.report, progress: { done: true } },
+      ])),
+    };
+  }, [status, state]);
+}
@@ -0,0 +1,79 @@
+// src/components/useRolloutLibrary.js
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+const FALLBACK_RUNS = [
+  { id: "run_01", label: "Random", file: "run_01.json" },
+  { id: "run_ppo", label: "PPO", file: "run_ppo.json" },
+];
+
+const ROLLOUT_EXT = /\.(json|ndjson|jsonl|orb)$/i;
+
+// Object URLs lose the file extension, so the format travels with the run
+const formatOf = (name) => (/\.orb$/i.test(name) ? "bin" : /\.(ndjson|jsonl)$/i.test(name) ? "ndjson" : "json");
+
+async function loadManifest(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to fetch manifest: ${res.status}`);
+  const json = await res.json();
+  return json.runs || [];
+}
+
+/**
+ * useRolloutLibrary
+ * - Lists every rollout in public/rollouts/ (via manifest.json) plus local files added by the user
+ * - Each run: { id, label, url, format, local? } — `url` is what the streaming loader fetches
+ *   (local files get an object URL so they go through the same loader)
+ * - addMemoryRun(label) registers a run generated in the browser (format "memory"); its episodes
+ *   are handed to useRollouts directly instead of being streamed
+ */
+export function useRolloutLibrary(manifestUrl = "/rollouts/manifest.json") {
+  const [serverRuns, setServerRuns] = useState([]);
+  const [localRuns, setLocalRuns] = useState([]);
+  const [memoryRuns, setMemoryRuns] = useState([]);
+  const localCounter = useRef(0);
+  const memoryCounter = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const base = manifestUrl.slice(0, manifestUrl.lastIndexOf("/") + 1);
+    loadManifest(manifestUrl)
+      .catch((e) => {
+        console.error("loadManifest failed", e);
+        return FALLBACK_RUNS;
+      })
+      .then((runs) => {
+        if (cancelled) return;
+        setServerRuns(runs.map((r) => ({ id: r.id, label: r.label || r.id, url: base + r.file, format: formatOf(r.file) })));
+      });
+    return () => { cancelled = true; };
+  }, [manifestUrl]);
+
+  // Revoke object URLs when the library goes away
+  const localRef = useRef(localRuns);
+  localRef.current = localRuns;
+  useEffect(() => () => localRef.current.forEach((r) => URL.revokeObjectURL(r.url)), []);
+
+  const addFiles = useCallback((files) => {
+    const added = [...files]
+      .filter((f) => ROLLOUT_EXT.test(f.name))
+      .map((f) => ({
+        id: `local-${++localCounter.current}`,
+        label: f.name.replace(ROLLOUT_EXT, ""),
+        url: URL.createObjectURL(f),
+        format: formatOf(f.name),
+        local: true,
+      }));
+    if (added.length) setLocalRuns((prev) => [...prev, ...added]);
+    return added;
+  }, []);
+
+  const addMemoryRun = useCallback((label) => {
+    const id = `mem-${++memoryCounter.current}`;
+    const run = { id, label, url: `memory:${id}`, format: "memory", local: true };
+    setMemoryRuns((prev) => [...prev, run]);
+    return run;
+  }, []);
+
+  const runs = useMemo(() => [...serverRuns, ...localRuns, ...memoryRuns], [serverRuns, localRuns, memoryRuns]);
+  return { runs, addFiles, addMemoryRun };
+}
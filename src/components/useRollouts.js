@@ -0,0 +1,112 @@
+// src/components/useRollouts.js
+import { useEffect, useMemo, useRef, useState } from "react";
+import { streamRollout } from "./streamRollout.js";
+import { DEFAULT_ANALYTICS_CONFIG } from "../lib/analytics.js";
+
+const NO_MEMORY = {};
+
+/**
+ * useRollouts
+ * - Streams any number of rollouts (see streamRollout) and keeps them cached by url
+ * - Metrics run in a Web Worker; results are cached per (url, config), so switching
+ *   thresholds back and forth is instant and the UI never blocks on the metric pass
+ *
+ * sources: [{ url, format }], config: analytics overrides (see DEFAULT_ANALYTICS_CONFIG)
+ * memory: url → { episodes, progress } for runs generated in the browser (format "memory")
+ * returns one { episodes, metrics, progress, report } per source (`report` once loaded, see rolloutSchema.js)
+ */
+export function useRollouts(sources, config = DEFAULT_ANALYTICS_CONFIG, memory = NO_MEMORY) {
+  const [streamed, setStreamed] = useState({}); // url → { episodes, progress, report }
+  const [results, setResults] = useState({}); // `${url}|${configKey}` → metrics[]
+  const requested = useRef(new Set()); // urls streaming or streamed
+  const streams = useRef(new Map()); // url → cancel, while streaming
+  const configKey = JSON.stringify(config);
+
+  // Cleanups below need the sources of the render being committed, and whether it unmounted
+  const mounted = useRef(false);
+  const latestSources = useRef(sources);
+  latestSources.current = sources;
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; };
+  }, []);
+
+  useEffect(() => {
+    const active = streams.current;
+    const started = requested.current;
+    sources.forEach(({ url, format }) => {
+      if (!url || format === "memory" || started.has(url)) return;
+      started.add(url);
+      const { promise, cancel } = streamRollout(url, {
+        format,
+        onUpdate: ({ episodes, loaded: bytes, total, done, report }) =>
+          setStreamed((prev) => ({ ...prev, [url]: { episodes, report, progress: { loaded: bytes, total, done } } })),
+      });
+      active.set(url, cancel);
+      promise
+        .catch((e) => {
+          console.error("loadRollout failed", e);
+          setStreamed((prev) => ({
+            ...prev,
+            [url]: { episodes: prev[url]?.episodes || [], progress: { done: true, error: String(e.message || e) } },
+          }));
+        })
+        .finally(() => { if (active.get(url) === cancel) active.delete(url); });
+    });
+    // Cancel streams for runs that are no longer selected (all of them on unmount, which
+    // StrictMode also simulates); a cancelled url is forgotten so it streams again if re-selected
+    return () => {
+      const keep = new Set(mounted.current ? latestSources.current.map((s) => s.url) : []);
+      for (const [url, cancel] of active) {
+        if (keep.has(url)) continue;
+        cancel();
+        active.delete(url);
+        started.delete(url);
+      }
+    };
+  }, [sources]);
+  const loaded = useMemo(() => ({ ...streamed, ...memory }), [streamed, memory]);
+
+  // Metrics worker: episodes are sent once per change, results come back per (url, config)
+  const worker = useRef(null);
+  const sent = useRef(new Map()); // url → episodes array the worker has
+  const latest = useRef({}); // url → last metrics received, shown while a new config pass runs
+  useEffect(() => {
+    const w = new Worker(new URL("../workers/metrics.worker.js", import.meta.url), { type: "module" });
+    w.onmessage = (e) => {
+      const { key, configKey: sk, metrics } = e.data;
+      latest.current[key] = metrics;
+      setResults((prev) => ({ ...prev, [`${key}|${sk}`]: metrics }));
+    };
+    worker.current = w;
+    sent.current = new Map();
+    return () => w.terminate();
+  }, []);
+
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
+  useEffect(() => {
+    const w = worker.current;
+    if (!w) return;
+    for (const [url, { episodes }] of Object.entries(loaded)) {
+      const prev = sent.current.get(url) || [];
+      const changed = [];
+      episodes.forEach((episode, index) => { if (episode !== prev[index]) changed.push({ index, episode }); });
+      if (changed.length || episodes.length !== prev.length) {
+        w.postMessage({ type: "episodes", key: url, count: episodes.length, changed });
+        sent.current.set(url, episodes);
+      }
+      if (changed.length || !resultsRef.current[`${url}|${configKey}`]) {
+        w.postMessage({ type: "compute", key: url, config: JSON.parse(configKey) });
+      }
+    }
+  }, [loaded, configKey]);
+
+  // Stable identity between updates so panels can memoise on it
+  return useMemo(() => sources.map(({ url }) => ({
+    episodes: loaded[url]?.episodes || [],
+    metrics: results[`${url}|${configKey}`] || latest.current[url] || [],
+    progress: loaded[url]?.progress || { done: false },
+    report: loaded[url]?.report || null,
+  })), [sources, loaded, results, configKey]);
+}
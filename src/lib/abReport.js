@@ -0,0 +1,120 @@
+// src/lib/abReport.js
+// Aggregate A/B comparison of runs across all their episodes: descriptive statistics with
+// bootstrap intervals per run, and for every run against the baseline a bootstrap interval of the
+// difference in means, a permutation test and a Mann–Whitney U test. Inputs are the per-episode
+// analytics metrics (src/lib/analytics.js), so mission thresholds apply as everywhere else.
+import {
+  mean, describe, bootstrapCI, bootstrapDiffCI, permutationTest, mannWhitney, proportionCI, zCritical,
+} from "./stats.js";
+
+// better: +1 when higher is better, −1 when lower is better
+export const AB_METRICS = [
+  { key: "return", label: "Return", get: (m) => m.rewardSum, better: 1, digits: 2 },
+  { key: "fuel", label: "Fuel ∑|u|", get: (m) => m.fuelSum, better: -1, digits: 3 },
+  { key: "capture", label: "Capture frame", get: (m) => m.capturedAt ?? NaN, better: -1, digits: 0, note: "captured episodes only" },
+  { key: "in_tol", label: "% in tolerance", get: (m) => m.pctInTol * 100, better: 1, digits: 1 },
+  { key: "capture_rate", label: "Capture rate", get: (m) => (m.capturedAt != null ? 1 : 0), better: 1, digits: 3, rate: true },
+];
+
+// Wilson interval for 0/1 samples (a bootstrap of a proportion collapses for small n)
+function rateCI(values, alpha) {
+  const { rate, lo, hi } = proportionCI(values.filter((x) => x === 1).length, values.length, zCritical(alpha));
+  return rate == null ? null : { lo, hi };
+}
+
+/**
+ * abReport(runs, { baseline, alpha, iterations })
+ * runs: [{ label, metrics: [episode metrics] }] — episodes whose metrics are not ready are skipped
+ * → { baseline, alpha, runs: [{ label, episodes }], metrics: [{ key, label, better, rate?, note?,
+ *      runs: [{ label, n, mean, median, std, min, max, ci }],
+ *      tests: [{ label, diff, diffCI, permutationP, mannWhitneyP, effect, verdict }] }] }
+ * verdict: "better" | "worse" | "no significant difference" (both tests significant at `alpha`)
+ */
+export function abReport(runs, { baseline = 0, alpha = 0.05, iterations = 2000 } = {}) {
+  const samples = runs.map((r) => r.metrics.filter(Boolean));
+  const base = Math.min(Math.max(0, baseline), runs.length - 1);
+
+  const metrics = AB_METRICS.map((def) => {
+    const values = samples.map((ms) => ms.map(def.get));
+    const rows = runs.map((r, k) => {
+      const d = describe(values[k]);
+      return { label: r.label, ...d, ci: def.rate ? rateCI(values[k], alpha) : bootstrapCI(values[k], mean, { iterations, alpha }) };
+    });
+    const tests = runs.map((r, k) => {
+      if (k === base) return null;
+      const perm = permutationTest(values[base], values[k], { iterations: iterations * 2 });
+      // Ranks of a 0/1 variable add nothing to the permutation test, so rates use that alone
+      const mw = def.rate ? null : mannWhitney(values[base], values[k]);
+      const diffCI = bootstrapDiffCI(values[base], values[k], { iterations, alpha });
+      const significant = perm && perm.p < alpha && (def.rate || (mw && mw.p < alpha));
+      const verdict = !significant ? "no significant difference" : Math.sign(perm.diff) === def.better ? "better" : "worse";
+      return {
+        label: r.label,
+        diff: perm?.diff ?? null,
+        diffCI,
+        permutationP: perm?.p ?? null,
+        mannWhitneyP: mw?.p ?? null,
+        effect: mw?.effect ?? null,
+        verdict,
+      };
+    });
+    return { key: def.key, label: def.label, better: def.better, rate: !!def.rate, note: def.note, digits: def.digits, runs: rows, tests };
+  });
+
+  return {
+    baseline: runs[base]?.label ?? null,
+    alpha,
+    runs: runs.map((r, k) => ({ label: r.label, episodes: samples[k].length })),
+    metrics,
+  };
+}
+
+const num = (x, d) => (x == null || !Number.isFinite(x) ? "" : Number(x.toFixed(d)));
+const pval = (p) => (p == null ? "" : p < 1e-4 ? "<0.0001" : p.toFixed(4));
+
+/** One CSV row per (metric, run), with the test columns filled for non-baseline runs */
+export function abReportToCSV(report) {
+  const head = ["metric", "run", "n", "mean", "ci_lo", "ci_hi", "median", "std", "diff_vs_baseline", "diff_ci_lo", "diff_ci_hi", "permutation_p", "mann_whitney_p", "verdict"];
+  const quote = (x) => (/[",\n]/.test(String(x)) ? `"${String(x).replace(/"/g, '""')}"` : x);
+  const lines = [head.join(",")];
+  for (const m of report.metrics) {
+    m.runs.forEach((r, k) => {
+      const t = m.tests[k];
+      const d = m.digits + 3;
+      lines.push([
+        m.key, r.label, r.n, num(r.mean, d), num(r.ci?.lo, d), num(r.ci?.hi, d), num(r.median, d), num(r.std, d),
+        num(t?.diff, d), num(t?.diffCI?.lo, d), num(t?.diffCI?.hi, d), pval(t?.permutationP), pval(t?.mannWhitneyP), t?.verdict ?? "baseline",
+      ].map(quote).join(","));
+    });
+  }
+  return lines.join("\n") + "\n";
+}
+
+/** Markdown summary (tables per metric) for pasting into notes or PRs */
+export function abReportToMarkdown(report) {
+  const out = [
+    `# A/B report — baseline: ${report.baseline}`,
+    "",
+    `Episodes: ${report.runs.map((r) => `${r.label} ${r.episodes}`).join(", ")} · α = ${report.alpha} · ${Math.round((1 - report.alpha) * 100)}% intervals`,
+  ];
+  for (const m of report.metrics) {
+    const d = m.digits;
+    out.push("", `## ${m.label}${m.note ? ` (${m.note})` : ""} — ${m.better > 0 ? "higher" : "lower"} is better`, "",
+      "| Run | n | Mean [CI] | Median | Std | Δ vs baseline [CI] | Permutation p | Mann–Whitney p | Verdict |",
+      "|---|---|---|---|---|---|---|---|---|");
+    m.runs.forEach((r, k) => {
+      const t = m.tests[k];
+      const f = (x) => (x == null ? "—" : x.toFixed(d));
+      out.push(`| ${[
+        r.label, r.n,
+        `${f(r.mean)}${r.ci ? ` [${f(r.ci.lo)}, ${f(r.ci.hi)}]` : ""}`,
+        f(r.median), f(r.std),
+        t ? `${f(t.diff)}${t.diffCI ? ` [${f(t.diffCI.lo)}, ${f(t.diffCI.hi)}]` : ""}` : "—",
+        t ? pval(t.permutationP) || "—" : "—",
+        t ? pval(t.mannWhitneyP) || "—" : "—",
+        t ? t.verdict : "baseline",
+      ].join(" | ")} |`);
+    });
+  }
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,101 @@
+// src/lib/alignment.js
+// Time alignment for comparing runs of different lengths. Every run maps its frames onto a shared
+// "phase" axis (step, simulated time, frames since capture or % of the episode); playback follows
+// the lead run's phase and each other run shows the frame at that phase. A per-run offset (in
+// frames) shifts a run along the axis: with offset k, frame f is shown where frame f − k would be.
+
+export const ALIGN_MODES = [
+  { key: "step", label: "Step", axis: "Frame" },
+  { key: "t", label: "Sim time t", axis: "t" },
+  { key: "capture", label: "Capture", axis: "Frames from capture" },
+  { key: "percent", label: "% of episode", axis: "% of episode" },
+];
+
+// Linear interpolation of a monotonic column at fractional index i (extrapolated past both ends)
+function interpolate(col, n, i) {
+  if (n === 1) return col[0] + i;
+  const k = Math.min(Math.max(Math.floor(i), 0), n - 2);
+  return col[k] + (col[k + 1] - col[k]) * (i - k);
+}
+
+// Fractional index where a monotonic column reaches value y (inverse of interpolate)
+function invert(col, n, y) {
+  if (n === 1) return y - col[0];
+  let lo = 0, hi = n - 1;
+  if (y <= col[0]) hi = 1;
+  else if (y >= col[n - 1]) lo = n - 2;
+  else {
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (col[mid] <= y) lo = mid; else hi = mid;
+    }
+  }
+  const span = col[hi] - col[lo];
+  return span > 0 ? lo + (y - col[lo]) / span : lo;
+}
+
+// t is usable when every value is present and strictly increasing
+function usableTime(t, n) {
+  if (!t || n === 0) return false;
+  for (let i = 0; i < n; i++) {
+    if (!Number.isFinite(t[i]) || (i > 0 && t[i] <= t[i - 1])) return false;
+  }
+  return true;
+}
+
+/**
+ * createAligner(mode, episode, metrics, offset)
+ * → { mode, fallback, identity, phaseOf(frame), indexAt(phase), frameAt(phase) }
+ *  - phaseOf: frame index (may be fractional or out of range) → position on the shared axis
+ *  - indexAt: its inverse, fractional and unclamped
+ *  - frameAt: position on the shared axis → integer frame, clamped to the episode
+ *  - fallback: true when the run lacks what the mode needs (no t column, never captured,
+ *    metrics not ready) and is aligned by step instead
+ *  - identity: phaseOf(f) === f for every frame (step mode, no offset)
+ */
+export function createAligner(mode, episode, metrics, offset = 0) {
+  const n = episode?.length || 0;
+  const t = episode?.cols?.t;
+  const timed = mode === "t" && usableTime(t, n);
+  const capturedAt = mode === "capture" ? metrics?.capturedAt : null;
+
+  let phase = (f) => f;
+  let inverse = (p) => p;
+  let fallback = false;
+  if (mode === "t") {
+    if (timed) {
+      phase = (f) => interpolate(t, n, f);
+      inverse = (p) => invert(t, n, p);
+    } else fallback = true;
+  } else if (mode === "capture") {
+    if (capturedAt != null) {
+      phase = (f) => f - capturedAt;
+      inverse = (p) => p + capturedAt;
+    } else fallback = true;
+  } else if (mode === "percent") {
+    const last = Math.max(1, n - 1);
+    phase = (f) => (100 * f) / last;
+    inverse = (p) => (p * last) / 100;
+  }
+
+  const indexAt = (p) => inverse(p) + offset;
+  return {
+    mode,
+    fallback,
+    identity: (mode === "step" || fallback) && !offset,
+    phaseOf: (f) => phase(f - offset),
+    indexAt,
+    frameAt: (p) => Math.min(Math.max(Math.round(indexAt(p)), 0), Math.max(0, n - 1)),
+  };
+}
+
+const alignedCache = new WeakMap(); // aligner → WeakMap(data → aligned data)
+
+/** [{x: frame, y}] → [{x: phase, y}], cached per aligner so charts can re-render cheaply */
+export function alignSeries(data, aligner) {
+  if (!data || !aligner || aligner.identity) return data;
+  let byData = alignedCache.get(aligner);
+  if (!byData) alignedCache.set(aligner, (byData = new WeakMap()));
+  if (!byData.has(data)) byData.set(data, data.map((p) => ({ x: aligner.phaseOf(p.x), y: p.y })));
+  return byData.get(data);
+}
@@ -0,0 +1,131 @@
+// src/lib/analytics.js
+// The one analytics pipeline every panel reads: reward/fuel sums, tolerance and capture
+// detection, escape/too-close detection, timeline events and sparkline series.
+// Pure functions over columnar episodes (src/lib/rolloutColumns.js); runs in the metrics worker.
+
+export const DEFAULT_ANALYTICS_CONFIG = Object.freeze({
+  mu: 1.0,
+  rTarget: 1.0,        // target circular orbit radius
+  tolR: 0.05,          // |r − rTarget| to count as in tolerance
+  tolV: 0.05,          // |v_tan − v_circ| to count as in tolerance
+  tolVrad: Infinity,   // optional |v_rad| bound (off by default)
+  captureFrames: 30,   // consecutive in-tolerance frames (after having been out) to declare capture
+  thrustSpike: 0.02,   // |u| above this is a "thrust" event
+  tooCloseR: 0.2,      // |r| below this is "too_close"
+  escapeR: 5.0,        // |r| above this is "escape"
+});
+
+/** Defaults + overrides (undefined/null overrides are ignored) */
+export function resolveConfig(overrides = {}) {
+  const cfg = { ...DEFAULT_ANALYTICS_CONFIG };
+  for (const [k, v] of Object.entries(overrides)) if (v != null) cfg[k] = v;
+  return cfg;
+}
+
+const positive = (x) => (Number.isFinite(x) && x > 0 ? x : undefined);
+
+/**
+ * MissionModal mission { r_target, tol_r, tol_v, thrust_spike } → analytics config.
+ * `thrust_max` (the actuator's per-component clip) is deliberately not used: the thrust event
+ * threshold is a separate |u| level, so raising the clip doesn't hide burns below saturation.
+ */
+export function missionToConfig(mission) {
+  if (!mission) return DEFAULT_ANALYTICS_CONFIG;
+  return resolveConfig({
+    rTarget: positive(mission.r_target),
+    tolR: positive(mission.tol_r),
+    tolV: positive(mission.tol_v),
+    thrustSpike: positive(mission.thrust_spike),
+  });
+}
+
+/**
+ * Analyse one columnar episode.
+ *
+ * Errors are always recomputed from r/v against `rTarget` (the logged pos_err / v_tan_err are
+ * relative to whatever target the environment used). Returns:
+ *  { len, rewardSum, fuelSum, capturedAt, firstInTol, pctInTol, tooCloseAt, escapedAt,
+ *    inTolRanges: [[start, end]], events: [{ t, type, ... }], spark: { reward, fuel, posErr, vTanErr } }
+ *
+ * Event types: thrust (per frame, with `mag`), entered_tol (capture), in_tol (start of each
+ * in-tolerance stretch, with `end`), too_close and escape (each time the boundary is crossed).
+ */
+export function analyzeEpisode(ep, config = DEFAULT_ANALYTICS_CONFIG) {
+  const cfg = resolveConfig(config);
+  const { r, v, thrust, reward } = ep.cols;
+  const len = ep.length;
+  const vCirc = Math.sqrt(cfg.mu / Math.max(1e-9, cfg.rTarget));
+
+  let rewardSum = 0;
+  let fuelSum = 0;
+  let capturedAt = null;
+  let firstInTol = null;
+  let tooCloseAt = null;
+  let escapedAt = null;
+  let inTolCount = 0;
+  const events = [];
+  const inTolRanges = [];
+  const spark = { reward: [], fuel: [], posErr: [], vTanErr: [] };
+
+  let tolStreak = 0;
+  let seenOut = false;
+  let rangeStart = null;
+  let wasTooClose = false;
+  let wasEscaped = false;
+
+  for (let i = 0; i < len; i++) {
+    const x = r[i*3], y = r[i*3+1], z = r[i*3+2];
+    const rmag = Math.hypot(x, y, z);
+    const vx = v[i*3], vy = v[i*3+1], vz = v[i*3+2];
+    const vRad = (vx*x + vy*y + vz*z) / Math.max(1e-9, rmag);
+    const vTan = Math.sqrt(Math.max(0, vx*vx + vy*vy + vz*vz - vRad*vRad));
+    const posErr = rmag - cfg.rTarget;
+    const vTanErr = vTan - vCirc;
+
+    const mag = thrust && !Number.isNaN(thrust[i*3]) ? Math.hypot(thrust[i*3], thrust[i*3+1], thrust[i*3+2]) : 0;
+    const rew = reward && !Number.isNaN(reward[i]) ? reward[i] : 0;
+    rewardSum += rew;
+    fuelSum += mag;
+    if (mag > cfg.thrustSpike) events.push({ t: i, type: "thrust", mag });
+
+    // Tolerance + capture (capture needs `captureFrames` in a row after having been out)
+    const inTol = Math.abs(posErr) <= cfg.tolR && Math.abs(vTanErr) <= cfg.tolV && Math.abs(vRad) <= cfg.tolVrad;
+    if (inTol) {
+      inTolCount++;
+      tolStreak++;
+      firstInTol ??= i;
+      rangeStart ??= i;
+      if (seenOut && capturedAt == null && tolStreak >= cfg.captureFrames) {
+        capturedAt = i - cfg.captureFrames + 1;
+        events.push({ t: capturedAt, type: "entered_tol" });
+      }
+    } else {
+      if (rangeStart != null) inTolRanges.push([rangeStart, i - 1]);
+      rangeStart = null;
+      tolStreak = 0;
+      seenOut = true;
+    }
+
+    // Boundary crossings
+    const tooClose = rmag < cfg.tooCloseR;
+    if (tooClose && !wasTooClose) { events.push({ t: i, type: "too_close", r: rmag }); tooCloseAt ??= i; }
+    wasTooClose = tooClose;
+    const escaped = rmag > cfg.escapeR;
+    if (escaped && !wasEscaped) { events.push({ t: i, type: "escape", r: rmag }); escapedAt ??= i; }
+    wasEscaped = escaped;
+
+    spark.reward.push({ x: i, y: rew });
+    spark.fuel.push({ x: i, y: mag });
+    spark.posErr.push({ x: i, y: posErr });
+    spark.vTanErr.push({ x: i, y: vTanErr });
+  }
+  if (rangeStart != null) inTolRanges.push([rangeStart, len - 1]);
+  for (const [start, end] of inTolRanges) events.push({ t: start, type: "in_tol", end });
+  events.sort((a, b) => a.t - b.t);
+
+  const pctInTol = len > 0 ? inTolCount / len : 0;
+  return {
+    len, rewardSum, fuelSum, capturedAt, firstInTol, pctInTol,
+    tooCloseAt, escapedAt, inTolRanges, events, spark,
+  };
+}
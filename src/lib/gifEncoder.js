@@ -0,0 +1,135 @@
+// src/lib/gifEncoder.js
+// Minimal animated GIF (GIF89a) encoder for scene exports: a fixed 6×7×6 colour cube as the
+// global palette, LZW-compressed frames, looping forever. Frames are compressed as they are
+// added, so a long clip never holds more than one RGBA frame at a time.
+
+const LEVELS = [6, 7, 6]; // r, g, b steps (252 colours; green gets the extra level)
+
+function palette() {
+  const out = new Uint8Array(256 * 3);
+  let k = 0;
+  for (let r = 0; r < LEVELS[0]; r++) {
+    for (let g = 0; g < LEVELS[1]; g++) {
+      for (let b = 0; b < LEVELS[2]; b++) {
+        out[k++] = Math.round((r * 255) / (LEVELS[0] - 1));
+        out[k++] = Math.round((g * 255) / (LEVELS[1] - 1));
+        out[k++] = Math.round((b * 255) / (LEVELS[2] - 1));
+      }
+    }
+  }
+  return out;
+}
+
+/** RGBA pixels → palette indices (nearest level per channel) */
+function quantize(rgba, n) {
+  const out = new Uint8Array(n);
+  const sr = (LEVELS[0] - 1) / 255, sg = (LEVELS[1] - 1) / 255, sb = (LEVELS[2] - 1) / 255;
+  for (let i = 0; i < n; i++) {
+    const r = Math.round(rgba[i*4] * sr), g = Math.round(rgba[i*4+1] * sg), b = Math.round(rgba[i*4+2] * sb);
+    out[i] = (r * LEVELS[1] + g) * LEVELS[2] + b;
+  }
+  return out;
+}
+
+/** Growable byte buffer */
+function bytes() {
+  let buf = new Uint8Array(1 << 16);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+    next.set(buf.subarray(0, len));
+    buf = next;
+  };
+  return {
+    byte(b) { ensure(1); buf[len++] = b; },
+    word(w) { ensure(2); buf[len++] = w & 0xff; buf[len++] = (w >> 8) & 0xff; },
+    array(a) { ensure(a.length); buf.set(a, len); len += a.length; },
+    ascii(s) { for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i)); },
+    result: () => buf.slice(0, len),
+  };
+}
+
+/** LZW-compress palette indices into GIF image data sub-blocks (after the min code size byte) */
+function lzw(indices, out, minCodeSize = 8) {
+  const clear = 1 << minCodeSize;
+  const eoi = clear + 1;
+  let next = eoi + 1;
+  let codeSize = minCodeSize + 1;
+  let table = new Map();
+
+  const block = new Uint8Array(255);
+  let blockLen = 0;
+  let acc = 0, bits = 0;
+  const flushByte = (b) => {
+    block[blockLen++] = b;
+    if (blockLen === 255) { out.byte(255); out.array(block); blockLen = 0; }
+  };
+  const emit = (code) => {
+    acc |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) { flushByte(acc & 0xff); acc >>>= 8; bits -= 8; }
+  };
+
+  out.byte(minCodeSize);
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = table.get(key);
+    if (hit !== undefined) { prefix = hit; continue; }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      table = new Map();
+      next = eoi + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (bits > 0) flushByte(acc & 0xff);
+  if (blockLen > 0) { out.byte(blockLen); out.array(block.subarray(0, blockLen)); }
+  out.byte(0);
+}
+
+/**
+ * createGifEncoder(width, height, { delayMs }) → { addFrame(rgba), finish() → Uint8Array }
+ * rgba: width·height·4 bytes (e.g. ImageData.data); delayMs is rounded to GIF's 10 ms ticks
+ */
+export function createGifEncoder(width, height, { delayMs = 50 } = {}) {
+  const out = bytes();
+  out.ascii("GIF89a");
+  out.word(width);
+  out.word(height);
+  out.byte(0xf7); // global colour table, 8 bits per channel, 256 entries
+  out.byte(0);    // background colour
+  out.byte(0);    // pixel aspect ratio
+  out.array(palette());
+  // NETSCAPE2.0 application extension: loop forever
+  out.byte(0x21); out.byte(0xff); out.byte(11); out.ascii("NETSCAPE2.0");
+  out.byte(3); out.byte(1); out.word(0); out.byte(0);
+
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  let frames = 0;
+  return {
+    addFrame(rgba) {
+      // Graphic control extension: no disposal, no transparency
+      out.byte(0x21); out.byte(0xf9); out.byte(4); out.byte(0x04); out.word(delay); out.byte(0); out.byte(0);
+      // Image descriptor: full frame, no local colour table
+      out.byte(0x2c); out.word(0); out.word(0); out.word(width); out.word(height); out.byte(0);
+      lzw(quantize(rgba, width * height), out);
+      frames++;
+    },
+    get frames() { return frames; },
+    finish() {
+      out.byte(0x3b);
+      return out.result();
+    },
+  };
+}
@@ -0,0 +1,92 @@
+// src/lib/maneuvers.js
+// Maneuver detection: groups contiguous thrust into discrete burns and measures each one —
+// delta-v (thrust is an acceleration, so Δv = ∑|u|·dt), duration, mean direction in the local
+// RTN frame (src/lib/orbits.js) and the change in a, e and energy across the burn.
+import { orbitalElements, rtnBasis, toRTN } from "./orbits.js";
+
+export const DEFAULT_MANEUVER_CONFIG = Object.freeze({
+  mu: 1.0,
+  dt: 0.01,           // environment step (one frame)
+  threshold: 0.005,   // |u| above this counts as thrusting
+  gap: 2,             // coasting frames tolerated inside one burn
+  minFrames: 1,       // shorter burns are dropped
+});
+
+const vec = (col, i) => [col[i*3], col[i*3+1], col[i*3+2]];
+
+function state(ep, i, mu) {
+  const el = orbitalElements(vec(ep.cols.r, i), vec(ep.cols.v, i), mu);
+  return { a: el.a, e: el.e, E: el.energy };
+}
+
+/**
+ * detectManeuvers(ep, config) → { burns, totalDv, burnDv, cumulative }
+ *  - burns: [{ index, start, end, frames, duration, dv, dvRTN: [R, T, N], direction: [R, T, N],
+ *      peak, before: { a, e, E }, after: { a, e, E }, da, de, dE }]
+ *    `direction` is the unit vector of the summed RTN Δv; `before` is the state at the first
+ *    thrusting frame, `after` the state one frame past the last (the burn's last kick applied)
+ *  - totalDv: Δv of all thrust, burnDv: of the detected burns only
+ *  - cumulative: [{ x: frame, y: Δv so far }] (all thrust)
+ */
+export function detectManeuvers(ep, config = DEFAULT_MANEUVER_CONFIG) {
+  const cfg = { ...DEFAULT_MANEUVER_CONFIG };
+  for (const [k, v] of Object.entries(config)) if (v != null) cfg[k] = v;
+  const n = ep?.length || 0;
+  const { r, v, thrust } = ep?.cols || {};
+  const burns = [];
+  const cumulative = [];
+  let totalDv = 0;
+  let current = null;
+  let coast = 0;
+  let pending = [0, 0, 0, 0]; // Δv, R, T, N of the coasting frames since the last thrusting one
+
+  const close = () => {
+    if (current && current.end - current.start + 1 >= cfg.minFrames) burns.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < n; i++) {
+    const u = thrust && !Number.isNaN(thrust[i*3]) ? vec(thrust, i) : [0, 0, 0];
+    const mag = Math.hypot(u[0], u[1], u[2]);
+    totalDv += mag * cfg.dt;
+    cumulative.push({ x: i, y: totalDv });
+
+    const rtn = mag > 0 && (current || mag > cfg.threshold) ? toRTN(u, rtnBasis(vec(r, i), vec(v, i))) : null;
+    if (mag > cfg.threshold) {
+      if (!current) current = { start: i, end: i, dv: 0, dvRTN: [0, 0, 0], peak: 0 };
+      // Coasting frames bridged by the gap count towards the burn too
+      current.end = i;
+      current.dv += pending[0] + mag * cfg.dt;
+      current.peak = Math.max(current.peak, mag);
+      for (let k = 0; k < 3; k++) current.dvRTN[k] += pending[k + 1] + rtn[k] * cfg.dt;
+      pending = [0, 0, 0, 0];
+      coast = 0;
+    } else if (current) {
+      if (++coast > cfg.gap) {
+        close();
+        pending = [0, 0, 0, 0];
+      } else if (rtn) {
+        pending[0] += mag * cfg.dt;
+        for (let k = 0; k < 3; k++) pending[k + 1] += rtn[k] * cfg.dt;
+      }
+    }
+  }
+  close();
+
+  let burnDv = 0;
+  burns.forEach((b, index) => {
+    const size = Math.hypot(...b.dvRTN);
+    b.index = index;
+    b.frames = b.end - b.start + 1;
+    b.duration = b.frames * cfg.dt;
+    b.direction = size > 0 ? b.dvRTN.map((x) => x / size) : [0, 0, 0];
+    b.before = state(ep, b.start, cfg.mu);
+    b.after = state(ep, Math.min(n - 1, b.end + 1), cfg.mu);
+    b.da = b.after.a - b.before.a;
+    b.de = b.after.e - b.before.e;
+    b.dE = b.after.E - b.before.E;
+    burnDv += b.dv;
+  });
+
+  return { burns, totalDv, burnDv, cumulative };
+}
@@ -0,0 +1,47 @@
+// src/lib/onnxPolicy.js
+// ONNX-exported policies run with onnxruntime-web on the single-threaded WASM (CPU) backend.
+// The runtime is imported on first use so it stays out of the main bundle.
+// A policy maps one observation vector to one action vector: the first model input gets
+// a [1, obsSize] float32 tensor and the first output is read as the (deterministic) action.
+
+let ortPromise = null;
+
+function loadRuntime() {
+  ortPromise ??= import("onnxruntime-web/wasm").then((ort) => {
+    ort.env.wasm.numThreads = 1; // no cross-origin isolation needed
+    return ort;
+  });
+  return ortPromise;
+}
+
+/** Last dimension of the first input, when the model declares it (null otherwise) */
+function declaredObsSize(session) {
+  const shape = session.inputMetadata?.[0]?.shape;
+  const last = shape?.[shape.length - 1];
+  return Number.isInteger(last) && last > 0 ? last : null;
+}
+
+/**
+ * loadOnnxPolicy
+ * - bytes: ArrayBuffer / Uint8Array of an .onnx file
+ * - returns { inputName, outputName, obsSize, act(obs) → Promise<Float32Array>, release() }
+ */
+export async function loadOnnxPolicy(bytes) {
+  const ort = await loadRuntime();
+  const session = await ort.InferenceSession.create(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes), {
+    executionProviders: ["wasm"],
+  });
+  const inputName = session.inputNames[0];
+  const outputName = session.outputNames[0];
+  return {
+    inputName,
+    outputName,
+    obsSize: declaredObsSize(session),
+    async act(obs) {
+      const input = new ort.Tensor("float32", Float32Array.from(obs), [1, obs.length]);
+      const out = await session.run({ [inputName]: input });
+      return Float32Array.from(out[outputName].data);
+    },
+    release: () => session.release(),
+  };
+}
@@ -0,0 +1,140 @@
+// src/lib/orbitalEnv.js
+// JS port of the orbital station-keeping environment the rollouts come from: two-body gravity
+// (μ = 1), thrust as an acceleration clipped per component to thrust_max, velocity Verlet with
+// dt = 0.01, and the same logged fields and reward. Frames come out in the rollout shape
+// (t starts at 1, each frame carries the thrust that produced it), so generated episodes go
+// through the loaders' columnar pipeline like recorded ones.
+import { verletStep } from "./physics.js";
+import { DEFAULT_REWARD_WEIGHTS } from "./reward.js";
+
+export const DEFAULT_ENV_CONFIG = Object.freeze({
+  mu: 1.0,
+  dt: 0.01,
+  rTarget: 1.0,
+  thrustMax: 0.02,       // per-component clip
+  actionScale: "unit",   // "unit": actions in [-1, 1] are scaled by thrustMax; "raw": actions are accelerations
+  maxSteps: 3000,
+  weights: DEFAULT_REWARD_WEIGHTS,
+  escapeR: 5.0,          // |r| above this ends the episode
+  crashR: 0.1,           // |r| below this ends the episode
+  observation: "rv",     // see OBSERVATIONS
+});
+
+/** Observation layouts a policy may have been trained on */
+export const OBSERVATIONS = Object.freeze({
+  rv: { size: 6, label: "r, v (6)" },
+  rv_err: { size: 9, label: "r, v, pos_err, v_rad, v_tan_err (9)" },
+});
+
+const positive = (x) => (Number.isFinite(x) && x > 0 ? x : undefined);
+
+/** Defaults + overrides (undefined/null overrides are ignored) */
+export function resolveEnvConfig(overrides = {}) {
+  const cfg = { ...DEFAULT_ENV_CONFIG };
+  for (const [k, v] of Object.entries(overrides)) if (v != null) cfg[k] = v;
+  return cfg;
+}
+
+/** MissionModal mission { r_target, thrust_max, max_steps, reward_weights } → env config */
+export function missionToEnvConfig(mission, overrides = {}) {
+  if (!mission) return resolveEnvConfig(overrides);
+  return resolveEnvConfig({
+    rTarget: positive(mission.r_target),
+    thrustMax: positive(mission.thrust_max),
+    maxSteps: positive(mission.max_steps),
+    weights: mission.reward_weights ? { ...DEFAULT_REWARD_WEIGHTS, ...mission.reward_weights } : undefined,
+    ...overrides,
+  });
+}
+
+/** Fields the environment logs with each state: { E, H, pos_err, v_rad, v_tan, v_circ, v_tan_err, reward } */
+export function envFields(r, v, u, { mu, rTarget, weights }) {
+  const rmag = Math.hypot(r[0], r[1], r[2]);
+  const v2 = v[0]*v[0] + v[1]*v[1] + v[2]*v[2];
+  const vRad = (v[0]*r[0] + v[1]*r[1] + v[2]*r[2]) / rmag;
+  const vTan = Math.sqrt(Math.max(0, v2 - vRad*vRad));
+  const vCirc = Math.sqrt(mu / rTarget);
+  const posErr = rmag - rTarget;
+  const vTanErr = vTan - vCirc;
+  const fuel = Math.hypot(u[0], u[1], u[2]);
+  return {
+    E: 0.5*v2 - mu/rmag,
+    H: [r[1]*v[2] - r[2]*v[1], r[2]*v[0] - r[0]*v[2], r[0]*v[1] - r[1]*v[0]],
+    pos_err: posErr,
+    v_rad: vRad,
+    v_tan: vTan,
+    v_circ: vCirc,
+    v_tan_err: vTanErr,
+    reward: -(weights.w_pos*posErr*posErr + weights.w_vel*(vTanErr*vTanErr + vRad*vRad) + weights.w_fuel*fuel),
+  };
+}
+
+export const DEFAULT_INITIAL_CONDITIONS = Object.freeze({
+  radius: 0.97,        // initial |r|
+  speedFactor: 1.0,    // |v| as a multiple of the local circular speed √(μ/|r|)
+  inclinationDeg: 2.5, // tilt of the initial orbit plane about +x
+  phaseDeg: 12,        // position angle in the orbit plane, from +x
+  flightPathDeg: 0,    // angle of v above the local horizontal (positive = climbing)
+});
+
+/** Initial conditions (see DEFAULT_INITIAL_CONDITIONS) → { r, v } */
+export function initialState(conditions = {}, mu = 1.0) {
+  const c = { ...DEFAULT_INITIAL_CONDITIONS };
+  for (const [k, v] of Object.entries(conditions)) if (Number.isFinite(v)) c[k] = v;
+  const rad = Math.PI / 180;
+  const inc = c.inclinationDeg * rad, phase = c.phaseDeg * rad, gamma = c.flightPathDeg * rad;
+  const speed = c.speedFactor * Math.sqrt(mu / c.radius);
+  // In-plane position/velocity, then tilt the plane about +x
+  const rp = [c.radius * Math.cos(phase), c.radius * Math.sin(phase)];
+  const radial = [Math.cos(phase), Math.sin(phase)];
+  const along = [-Math.sin(phase), Math.cos(phase)];
+  const vp = [0, 1].map((k) => speed * (Math.sin(gamma) * radial[k] + Math.cos(gamma) * along[k]));
+  const tilt = ([x, y]) => [x, y * Math.cos(inc), y * Math.sin(inc)];
+  return { r: tilt(rp), v: tilt(vp) };
+}
+
+/**
+ * createOrbitalEnv
+ * - reset({ r, v }) → observation (Float32Array)
+ * - step(action) → { obs, frame, done, reason } — action is 3 numbers (see actionScale), missing or
+ *   non-finite components count as 0; `reason` is "max_steps" | "escape" | "crash" once done
+ */
+export function createOrbitalEnv(config = {}) {
+  const cfg = resolveEnvConfig(config);
+  const layout = OBSERVATIONS[cfg.observation] ? cfg.observation : "rv";
+  const scale = cfg.actionScale === "raw" ? 1 : cfg.thrustMax;
+  let r, v, steps;
+
+  const observe = () => {
+    const obs = new Float32Array(OBSERVATIONS[layout].size);
+    obs.set(r, 0);
+    obs.set(v, 3);
+    if (layout === "rv_err") {
+      const f = envFields(r, v, [0, 0, 0], cfg);
+      obs.set([f.pos_err, f.v_rad, f.v_tan_err], 6);
+    }
+    return obs;
+  };
+
+  return {
+    config: cfg,
+    reset(state) {
+      r = [...state.r];
+      v = [...state.v];
+      steps = 0;
+      return observe();
+    },
+    step(action) {
+      const u = [0, 1, 2].map((k) => {
+        const a = Number(action[k]);
+        return Number.isFinite(a) ? Math.min(cfg.thrustMax, Math.max(-cfg.thrustMax, a * scale)) : 0;
+      });
+      ({ r, v } = verletStep(r, v, u, cfg.dt, cfg.mu));
+      steps++;
+      const frame = { t: steps, r: [...r], v: [...v], thrust: u, ...envFields(r, v, u, cfg) };
+      const rmag = Math.hypot(r[0], r[1], r[2]);
+      const reason = rmag > cfg.escapeR ? "escape" : rmag < cfg.crashR ? "crash" : steps >= cfg.maxSteps ? "max_steps" : null;
+      return { obs: observe(), frame, done: reason != null, reason };
+    },
+  };
+}
@@ -0,0 +1,138 @@
+// src/lib/orbits.js
+// Two-body helpers shared by the scene (planets, osculating orbits) and the analytics panels.
+// Angles are radians; units are whatever `mu` is expressed in (μ = 1 for the rollouts).
+
+const dot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+const norm = (a) => Math.hypot(a[0], a[1], a[2]);
+const cross = (a, b) => [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
+const wrap2pi = (x) => ((x % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+const EPS = 1e-9;
+
+/** Kepler's equation M = E − e·sin E, solved by Newton iteration */
+export function keplerE(M, e) {
+  let E = M;
+  for (let k = 0; k < 8; k++) {
+    const f = E - e * Math.sin(E) - M;
+    const fp = 1 - e * Math.cos(E);
+    E -= f / fp;
+  }
+  return E;
+}
+
+/** Classical elements (a, e, i, Ω, ω, mean anomaly M) → position on the ellipse */
+export function elementsToPositionAU({ a, e, i, Omega, omega, M }) {
+  const E = keplerE(M, e);
+  const cosE = Math.cos(E), sinE = Math.sin(E);
+  const nu = Math.atan2(Math.sqrt(1 - e*e) * sinE, cosE - e);
+  const r_orb = a * (1 - e * cosE);
+  const x_orb = r_orb * Math.cos(nu), y_orb = r_orb * Math.sin(nu);
+
+  const cosO = Math.cos(Omega), sinO = Math.sin(Omega);
+  const cosi = Math.cos(i),     sini = Math.sin(i);
+  const cosw = Math.cos(omega), sinw = Math.sin(omega);
+
+  const X1 = cosw * x_orb - sinw * y_orb;
+  const Y1 = sinw * x_orb + cosw * y_orb;
+
+  const X2 = X1;
+  const Y2 = cosi * Y1;
+  const Z2 = sini * Y1;
+
+  const x = cosO * X2 - sinO * Y2;
+  const y = sinO * X2 + cosO * Y2;
+  const z = Z2;
+  return [x, y, z];
+}
+
+/**
+ * Osculating elements of a state vector: { a, e, i, Omega, omega, nu, M, hmag, energy }.
+ * Equatorial orbits get Ω = 0 (ω then measured from +x); circular orbits get ω = 0
+ * (ν then measured from the node). M is null for unbound orbits.
+ */
+export function orbitalElements(r, v, mu = 1.0) {
+  const rmag = norm(r);
+  const vmag = norm(v);
+  const h = cross(r, v);
+  const hmag = norm(h);
+  const energy = 0.5 * vmag * vmag - mu / rmag;
+  const a = -mu / (2 * energy);
+  const vxh = cross(v, h);
+  const evec = [vxh[0]/mu - r[0]/rmag, vxh[1]/mu - r[1]/rmag, vxh[2]/mu - r[2]/rmag];
+  const e = norm(evec);
+
+  const i = Math.acos(Math.max(-1, Math.min(1, h[2] / Math.max(EPS, hmag))));
+  const n = [-h[1], h[0], 0]; // node vector ẑ × h
+  const nmag = norm(n);
+  const equatorial = nmag < EPS * Math.max(1, hmag);
+
+  // Ascending node, or +x for equatorial orbits (flipped for retrograde so angles still increase with motion)
+  const node = equatorial ? [1, 0, 0] : [n[0]/nmag, n[1]/nmag, 0];
+  const Omega = equatorial ? 0 : wrap2pi(Math.atan2(n[1], n[0]));
+  // In-plane direction 90° ahead of `node`, following the motion
+  const ahead = cross(h, node).map((x) => x / Math.max(EPS, hmag));
+  const angle = (vec) => wrap2pi(Math.atan2(dot(vec, ahead), dot(vec, node)));
+
+  const circular = e < 1e-8;
+  const omega = circular ? 0 : angle(evec);
+  const nu = wrap2pi(angle(r) - omega);
+
+  let M = null;
+  if (e < 1) {
+    const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(nu / 2));
+    M = wrap2pi(E - e * Math.sin(E));
+  }
+  return { a, e, i, Omega, omega, nu, M, hmag, energy };
+}
+
+export const ELEMENT_KEYS = ["a", "e", "i", "Omega", "omega", "nu"];
+
+/** Element history of a columnar episode: { a, e, i, Omega, omega, nu } (Float64Array each) */
+export function elementHistory(ep, mu = 1.0) {
+  const out = Object.fromEntries(ELEMENT_KEYS.map((k) => [k, new Float64Array(ep.length)]));
+  const { r, v } = ep.cols;
+  for (let k = 0; k < ep.length; k++) {
+    const el = orbitalElements([r[k*3], r[k*3+1], r[k*3+2]], [v[k*3], v[k*3+1], v[k*3+2]], mu);
+    for (const key of ELEMENT_KEYS) out[key][k] = el[key];
+  }
+  return out;
+}
+
+/** Closed polyline of a bound orbit (null when the orbit is not an ellipse) */
+export function orbitPath(el, points = 256) {
+  if (!(el?.e < 1) || !(el.a > 0)) return null;
+  return Array.from({ length: points + 1 }, (_, k) =>
+    elementsToPositionAU({ ...el, M: (2 * Math.PI * k) / points })
+  );
+}
+
+/** Local orbital frame at a state: R radial, T along-track (in-plane, ⟂ R), N orbit normal */
+export function rtnBasis(r, v) {
+  const rmag = Math.max(EPS, norm(r));
+  const R = [r[0]/rmag, r[1]/rmag, r[2]/rmag];
+  const h = cross(r, v);
+  const hmag = Math.max(EPS, norm(h));
+  const N = [h[0]/hmag, h[1]/hmag, h[2]/hmag];
+  const T = cross(N, R);
+  return { R, T, N };
+}
+
+/** Inertial vector → [radial, tangential, normal] components */
+export const toRTN = (vec, { R, T, N }) => [dot(vec, R), dot(vec, T), dot(vec, N)];
+
+/** [radial, tangential, normal] components → inertial vector */
+export const fromRTN = ([cr, ct, cn], { R, T, N }) => [0, 1, 2].map((k) => cr*R[k] + ct*T[k] + cn*N[k]);
+
+/** Thrust history of a columnar episode in the local RTN frame: { R, T, N } (Float64Array each, 0 where missing) */
+export function thrustRTNHistory(ep) {
+  const out = { R: new Float64Array(ep.length), T: new Float64Array(ep.length), N: new Float64Array(ep.length) };
+  const { r, v, thrust } = ep.cols;
+  if (!thrust) return out;
+  for (let k = 0; k < ep.length; k++) {
+    if (Number.isNaN(thrust[k*3])) continue;
+    const basis = rtnBasis([r[k*3], r[k*3+1], r[k*3+2]], [v[k*3], v[k*3+1], v[k*3+2]]);
+    const [cr, ct, cn] = toRTN([thrust[k*3], thrust[k*3+1], thrust[k*3+2]], basis);
+    out.R[k] = cr; out.T[k] = ct; out.N[k] = cn;
+  }
+  return out;
+}
@@ -0,0 +1,88 @@
+// src/lib/physics.js
+// Consistency checks for rollout files: logged derived fields (E, H, v_circ, pos_err, v_rad,
+// v_tan, v_tan_err) against values recomputed from r/v, and each state against one
+// integrator step from the previous one. The environment integrates with velocity Verlet,
+// treats thrust as an acceleration and logs frame k+1 together with the thrust that produced it.
+
+export const DEFAULT_PHYSICS_CONFIG = Object.freeze({
+  mu: 1.0,
+  dt: 0.01,
+  rTarget: 1.0,   // target radius the environment logs pos_err / v_circ against
+  tol: 1e-5,      // absolute tolerance for every check (loose enough for float32 .orb files)
+  maxIssues: 200, // flagged frames kept per episode (counts and max errors cover all frames)
+});
+
+export const PHYSICS_CHECKS = ["E", "H", "v_circ", "pos_err", "v_rad", "v_tan", "v_tan_err", "step_r", "step_v"];
+
+/** One velocity-Verlet step under gravity + constant thrust acceleration `u` */
+export function verletStep(r, v, u, dt = 0.01, mu = 1.0) {
+  const accel = (p) => {
+    const d = Math.hypot(p[0], p[1], p[2]);
+    const k = -mu / (d * d * d);
+    return [k*p[0] + u[0], k*p[1] + u[1], k*p[2] + u[2]];
+  };
+  const a0 = accel(r);
+  const r1 = [0, 1, 2].map((j) => r[j] + v[j]*dt + 0.5*a0[j]*dt*dt);
+  const a1 = accel(r1);
+  const v1 = [0, 1, 2].map((j) => v[j] + 0.5*(a0[j] + a1[j])*dt);
+  return { r: r1, v: v1 };
+}
+
+const vec = (col, i) => [col[i*3], col[i*3+1], col[i*3+2]];
+const logged = (col, i) => (col && !Number.isNaN(col[i]) ? col[i] : null);
+
+/**
+ * Check one columnar episode. Returns
+ *  { frames, ok, checks: { [check]: { checked, flagged, maxErr, maxAt } }, issues: [{ t, check, err, expected, actual }] }
+ * Missing logged fields (NaN) and frames without thrust are skipped, not flagged.
+ */
+export function checkEpisode(ep, config = DEFAULT_PHYSICS_CONFIG) {
+  const cfg = { ...DEFAULT_PHYSICS_CONFIG, ...config };
+  const { r, v, thrust, E, H, v_circ, pos_err, v_rad, v_tan, v_tan_err } = ep.cols;
+  const checks = Object.fromEntries(PHYSICS_CHECKS.map((c) => [c, { checked: 0, flagged: 0, maxErr: 0, maxAt: null }]));
+  const issues = [];
+  const vCirc = Math.sqrt(cfg.mu / cfg.rTarget);
+
+  const record = (t, check, expected, actual, err = Math.abs(actual - expected)) => {
+    const c = checks[check];
+    c.checked++;
+    if (c.maxAt == null || !(err <= c.maxErr)) { c.maxErr = err; c.maxAt = t; }
+    if (!(err <= cfg.tol)) {
+      c.flagged++;
+      if (issues.length < cfg.maxIssues) issues.push({ t, check, err, expected, actual });
+    }
+  };
+
+  for (let i = 0; i < ep.length; i++) {
+    const ri = vec(r, i), vi = vec(v, i);
+    const rmag = Math.hypot(...ri);
+    const v2 = vi[0]*vi[0] + vi[1]*vi[1] + vi[2]*vi[2];
+    const vr = (vi[0]*ri[0] + vi[1]*ri[1] + vi[2]*ri[2]) / Math.max(1e-12, rmag);
+    const vt = Math.sqrt(Math.max(0, v2 - vr*vr));
+
+    let x;
+    if ((x = logged(E, i)) != null) record(i, "E", 0.5*v2 - cfg.mu/rmag, x);
+    if (logged(H, i*3) != null) {
+      const h = [ri[1]*vi[2] - ri[2]*vi[1], ri[2]*vi[0] - ri[0]*vi[2], ri[0]*vi[1] - ri[1]*vi[0]];
+      const err = Math.hypot(H[i*3] - h[0], H[i*3+1] - h[1], H[i*3+2] - h[2]);
+      record(i, "H", Math.hypot(...h), Math.hypot(H[i*3], H[i*3+1], H[i*3+2]), err);
+    }
+    if ((x = logged(v_circ, i)) != null) record(i, "v_circ", vCirc, x);
+    if ((x = logged(pos_err, i)) != null) record(i, "pos_err", rmag - cfg.rTarget, x);
+    if ((x = logged(v_rad, i)) != null) record(i, "v_rad", vr, x);
+    if ((x = logged(v_tan, i)) != null) record(i, "v_tan", vt, x);
+    if ((x = logged(v_tan_err, i)) != null) record(i, "v_tan_err", vt - vCirc, x);
+
+    // State i should be one step from state i−1 under the thrust logged with frame i
+    if (i > 0 && logged(thrust, i*3) != null) {
+      const next = verletStep(vec(r, i-1), vec(v, i-1), vec(thrust, i), cfg.dt, cfg.mu);
+      const errR = Math.hypot(ri[0] - next.r[0], ri[1] - next.r[1], ri[2] - next.r[2]);
+      const errV = Math.hypot(vi[0] - next.v[0], vi[1] - next.v[1], vi[2] - next.v[2]);
+      record(i, "step_r", Math.hypot(...next.r), rmag, errR);
+      record(i, "step_v", Math.hypot(...next.v), Math.sqrt(v2), errV);
+    }
+  }
+
+  const ok = Object.values(checks).every((c) => c.flagged === 0);
+  return { frames: ep.length, ok, checks, issues };
+}
@@ -0,0 +1,83 @@
+// src/lib/propagator.js
+// "What-if" replays: fork a recorded episode at a frame and integrate forward with edited thrust,
+// using the environment's own step and logged fields (see orbitalEnv.js).
+// The result is a regular columnar episode with every derived field filled in, so it goes
+// through the same analytics, charts and scene code as a recorded one.
+import { verletStep } from "./physics.js";
+import { rtnBasis, fromRTN } from "./orbits.js";
+import { DEFAULT_REWARD_WEIGHTS } from "./reward.js";
+import { envFields } from "./orbitalEnv.js";
+
+export const DEFAULT_WHATIF = Object.freeze({
+  from: 0,              // last recorded frame kept as-is
+  thrust: "recorded",   // after the fork: "recorded" | "zero" | "scale"
+  scale: 1.0,           // multiplier for thrust: "scale"
+  impulse: null,        // { at, dv: [radial, tangential, normal] } — a one-step burn into frame `at`
+  length: null,         // frames in the result (default: same as the recording)
+  thrustMax: 0.02,      // per-component clip, as in the environment (not applied to the impulse)
+  mu: 1.0,
+  dt: 0.01,
+  rTarget: 1.0,
+  weights: DEFAULT_REWARD_WEIGHTS,
+});
+
+const SCALARS = ["t", "E", "reward", "pos_err", "v_rad", "v_tan", "v_circ", "v_tan_err"];
+
+/** Derived fields the environment logs with each frame */
+function writeDerived(cols, i, r, v, u, o) {
+  const f = envFields(r, v, u, o);
+  cols.H.set(f.H, i*3);
+  for (const field of SCALARS) if (field !== "t") cols[field][i] = f[field];
+}
+
+/** Recorded episode + edits (see DEFAULT_WHATIF; null/undefined options keep the default) → ghost columnar episode */
+export function propagateWhatIf(ep, options = {}) {
+  const o = { ...DEFAULT_WHATIF };
+  for (const [k, v] of Object.entries(options)) if (v != null) o[k] = v;
+  if (!ep?.length) return { length: 0, cols: {} };
+  const n = Math.max(1, o.length ?? ep.length);
+  const from = Math.min(Math.max(0, Math.floor(o.from)), ep.length - 1, n - 1);
+  const rec = ep.cols;
+
+  const cols = { r: new Float64Array(n*3), v: new Float64Array(n*3), thrust: new Float64Array(n*3), H: new Float64Array(n*3) };
+  for (const f of SCALARS) cols[f] = new Float64Array(n);
+
+  const recordedThrust = (i) =>
+    i < ep.length && rec.thrust && !Number.isNaN(rec.thrust[i*3]) ? [rec.thrust[i*3], rec.thrust[i*3+1], rec.thrust[i*3+2]] : [0, 0, 0];
+  const clip = (x) => Math.min(o.thrustMax, Math.max(-o.thrustMax, x));
+
+  let r, v;
+  for (let i = 0; i < n; i++) {
+    let u;
+    if (i <= from) {
+      r = [rec.r[i*3], rec.r[i*3+1], rec.r[i*3+2]];
+      v = [rec.v[i*3], rec.v[i*3+1], rec.v[i*3+2]];
+      u = recordedThrust(i);
+    } else {
+      const base = recordedThrust(i);
+      u = o.thrust === "zero" ? [0, 0, 0]
+        : o.thrust === "scale" ? base.map((x) => clip(x * o.scale))
+        : base;
+      if (o.impulse && o.impulse.at === i) {
+        const kick = fromRTN(o.impulse.dv, rtnBasis(r, v));
+        u = u.map((x, k) => x + kick[k] / o.dt);
+      }
+      ({ r, v } = verletStep(r, v, u, o.dt, o.mu));
+    }
+    cols.r.set(r, i*3);
+    cols.v.set(v, i*3);
+    cols.thrust.set(u, i*3);
+    const t = rec.t && i < ep.length ? rec.t[i] : NaN;
+    cols.t[i] = Number.isNaN(t) ? (i > 0 ? cols.t[i-1] + 1 : i) : t;
+    writeDerived(cols, i, r, v, u, o);
+  }
+  return { length: n, cols };
+}
+
+/**
+ * The recording itself with reward and the other derived fields recomputed under `options`
+ * (rTarget, weights, mu): the baseline a ghost is compared against, so both sides are scored alike
+ */
+export function rescoreEpisode(ep, options = {}) {
+  return propagateWhatIf(ep, { ...options, from: Math.max(0, (ep?.length ?? 0) - 1), thrust: "recorded", impulse: null, length: null });
+}
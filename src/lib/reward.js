@@ -0,0 +1,71 @@
+// src/lib/reward.js
+// Reward decomposition for the station-keeping environment:
+//   reward = −( w_pos·pos_err² + w_vel·(v_tan_err² + v_rad²) + w_fuel·|u| )
+// The logged pos_err / v_tan_err / v_rad are used when present (they are relative to the target
+// the environment trained with); otherwise they are recomputed from r/v against `rTarget`.
+
+export const DEFAULT_REWARD_WEIGHTS = Object.freeze({ w_pos: 1.0, w_vel: 0.5, w_fuel: 0.05 });
+
+/** Per-frame error terms the reward is built from: { posErr2, velErr2, fuel } (Float64Array each) */
+export function rewardInputs(ep, rTarget = 1.0, mu = 1.0) {
+  const { r, v, thrust, pos_err, v_tan_err, v_rad } = ep.cols;
+  const n = ep.length;
+  const posErr2 = new Float64Array(n);
+  const velErr2 = new Float64Array(n);
+  const fuel = new Float64Array(n);
+  const vCirc = Math.sqrt(mu / rTarget);
+  const known = (col, i) => col && !Number.isNaN(col[i]);
+
+  for (let i = 0; i < n; i++) {
+    const x = r[i*3], y = r[i*3+1], z = r[i*3+2];
+    const rmag = Math.hypot(x, y, z);
+    const vx = v[i*3], vy = v[i*3+1], vz = v[i*3+2];
+    const vr = known(v_rad, i) ? v_rad[i] : (vx*x + vy*y + vz*z) / Math.max(1e-9, rmag);
+    const pe = known(pos_err, i) ? pos_err[i] : rmag - rTarget;
+    const ve = known(v_tan_err, i)
+      ? v_tan_err[i]
+      : Math.sqrt(Math.max(0, vx*vx + vy*vy + vz*vz - vr*vr)) - vCirc;
+    posErr2[i] = pe * pe;
+    velErr2[i] = ve * ve + vr * vr;
+    fuel[i] = known(thrust, i * 3) ? Math.hypot(thrust[i*3], thrust[i*3+1], thrust[i*3+2]) : 0;
+  }
+  return { posErr2, velErr2, fuel };
+}
+
+/** Episode totals per term (as negative reward contributions) under `weights` */
+export function rescore(inputs, weights = DEFAULT_REWARD_WEIGHTS) {
+  let pos = 0, vel = 0, fuel = 0;
+  for (let i = 0; i < inputs.fuel.length; i++) {
+    pos -= weights.w_pos * inputs.posErr2[i];
+    vel -= weights.w_vel * inputs.velErr2[i];
+    fuel -= weights.w_fuel * inputs.fuel[i];
+  }
+  return { pos, vel, fuel, total: pos + vel + fuel };
+}
+
+/**
+ * Per-frame terms for stacked charts, downsampled by averaging buckets to ≤ maxPoints:
+ * [{ x, pos, vel, fuel }] (negative values, so the stack reads as reward)
+ */
+export function rewardSeries(inputs, weights = DEFAULT_REWARD_WEIGHTS, maxPoints = 600) {
+  const n = inputs.fuel.length;
+  const step = Math.max(1, Math.ceil(n / maxPoints));
+  const out = [];
+  for (let start = 0; start < n; start += step) {
+    const end = Math.min(n, start + step);
+    let pos = 0, vel = 0, fuel = 0;
+    for (let i = start; i < end; i++) {
+      pos += inputs.posErr2[i];
+      vel += inputs.velErr2[i];
+      fuel += inputs.fuel[i];
+    }
+    const k = end - start;
+    out.push({
+      x: start,
+      pos: (-weights.w_pos * pos) / k,
+      vel: (-weights.w_vel * vel) / k,
+      fuel: (-weights.w_fuel * fuel) / k,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,89 @@
+// src/lib/rolloutBinary.js
+// Compact binary rollout format (.orb): typed-array columns plus a small JSON header.
+//
+//   bytes 0..3   magic "ORB1"
+//   bytes 4..7   header length H (uint32, little endian)
+//   bytes 8..    header JSON (UTF-8), zero-padded to a multiple of 4
+//   then         column data, float32 little endian, each column 4-byte aligned
+//
+// header: { version: 1, schema_version, optional_fields?, episodes: [{ length, cols: { <field>: { offset, size } } }] }
+// `offset` is in bytes from the start of the data section, `size` is 1 or 3 components.
+import { FIELD_SIZE } from "./rolloutColumns.js";
+import { ROLLOUT_SCHEMA_VERSION } from "./rolloutSchema.js";
+
+export const ORB_MAGIC = "ORB1";
+export const ORB_VERSION = 1;
+
+/** Columnar episodes (+ rollout schema meta, see rolloutSchema.js) → Uint8Array */
+export function encodeRolloutBinary(episodes, meta = {}) {
+  let offset = 0;
+  const layout = episodes.map((ep) => {
+    const cols = {};
+    for (const field of Object.keys(ep.cols)) {
+      const size = FIELD_SIZE[field];
+      if (!size) continue;
+      cols[field] = { offset, size };
+      offset += ep.length * size * 4;
+    }
+    return { length: ep.length, cols };
+  });
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify({
+    version: ORB_VERSION,
+    schema_version: ROLLOUT_SCHEMA_VERSION,
+    ...meta,
+    episodes: layout,
+  }));
+  const headerLen = Math.ceil(headerBytes.length / 4) * 4;
+  const dataStart = 8 + headerLen;
+  const out = new Uint8Array(dataStart + offset);
+  out.set(new TextEncoder().encode(ORB_MAGIC), 0);
+  new DataView(out.buffer).setUint32(4, headerLen, true);
+  out.set(headerBytes, 8);
+
+  const data = new Float32Array(out.buffer, dataStart);
+  episodes.forEach((ep, k) => {
+    for (const [field, { offset: off, size }] of Object.entries(layout[k].cols)) {
+      data.set(ep.cols[field].subarray(0, ep.length * size), off / 4);
+    }
+  });
+  return out;
+}
+
+function readHeader(bytes) {
+  const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+  if (magic !== ORB_MAGIC) throw new Error(`Not a binary rollout (magic "${magic}")`);
+  const headerLen = new DataView(bytes.buffer, bytes.byteOffset, 8).getUint32(4, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLen)).replace(/\0+$/, ""));
+  if (header.version !== ORB_VERSION) throw new Error(`Unsupported binary rollout version ${header.version}`);
+  return { header, headerLen };
+}
+
+/** Schema meta stored in the header: { schema_version, optional_fields, ... } */
+export function decodeRolloutBinaryMeta(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const meta = { ...readHeader(bytes).header };
+  delete meta.version;
+  delete meta.episodes;
+  return meta;
+}
+
+/** ArrayBuffer (or Uint8Array) → columnar episodes backed by Float32Array views (no copy) */
+export function decodeRolloutBinary(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const { header, headerLen } = readHeader(bytes);
+
+  // Float32Array views need 4-byte alignment; copy once if the bytes arrived unaligned
+  const aligned = (bytes.byteOffset + 8 + headerLen) % 4 === 0 ? bytes : bytes.slice();
+  const dataStart = aligned.byteOffset + 8 + headerLen;
+
+  return header.episodes.map(({ length, cols }) => ({
+    length,
+    cols: Object.fromEntries(
+      Object.entries(cols).map(([field, { offset, size }]) => [
+        field,
+        new Float32Array(aligned.buffer, dataStart + offset, length * size),
+      ])
+    ),
+  }));
+}
@@ -0,0 +1,107 @@
+// src/lib/rolloutColumns.js
+// Columnar episodes — the in-memory shape every rollout loader produces:
+//   { length, cols: { r: Float64Array(3·n), v, thrust, H, t: Float64Array(n), E, reward, ... } }
+// Vector fields are packed xyz. Optional fields are simply absent; a NaN marks a frame
+// that lacks a field the rest of the episode has. JSON/NDJSON loads use Float64Array,
+// the binary format loads straight into Float32Array views.
+
+export const VECTOR_FIELDS = ["r", "v", "thrust", "H"];
+export const SCALAR_FIELDS = ["t", "E", "reward", "pos_err", "v_rad", "v_tan", "v_circ", "v_tan_err"];
+export const FIELD_SIZE = Object.fromEntries([
+  ...VECTOR_FIELDS.map((f) => [f, 3]),
+  ...SCALAR_FIELDS.map((f) => [f, 1]),
+]);
+
+export const EMPTY_EPISODE = Object.freeze({ length: 0, cols: Object.freeze({}) });
+
+/** [{ r, v, thrust, ... }] → columnar episode */
+export function framesToColumns(frames, ArrayType = Float64Array) {
+  const n = frames.length;
+  const cols = {};
+  for (const [field, size] of Object.entries(FIELD_SIZE)) {
+    if (!frames.some((f) => f[field] != null)) continue;
+    const col = new ArrayType(n * size);
+    for (let i = 0; i < n; i++) {
+      const val = frames[i][field];
+      if (size === 1) col[i] = val ?? NaN;
+      else for (let k = 0; k < 3; k++) col[i * 3 + k] = val ? val[k] : NaN;
+    }
+    cols[field] = col;
+  }
+  return { length: n, cols };
+}
+
+/** xyz of frame i from a packed vector column */
+export const vecAt = (col, i) => [col[i * 3], col[i * 3 + 1], col[i * 3 + 2]];
+
+/** Plain frame object for frame i (fields missing in that frame are left out), or null */
+export function frameAt(ep, i) {
+  if (!ep || i < 0 || i >= ep.length) return null;
+  const frame = {};
+  for (const [field, col] of Object.entries(ep.cols)) {
+    const val = FIELD_SIZE[field] === 3 ? vecAt(col, i) : col[i];
+    if (FIELD_SIZE[field] === 3 ? !Number.isNaN(val[0]) : !Number.isNaN(val)) frame[field] = val;
+  }
+  return frame;
+}
+
+/**
+ * Whether a frame (from frameAt) has a usable state: finite r and v. Frames the loader kept as
+ * placeholders (see rolloutSchema.js) have neither, and have no position, orbit or RTN frame.
+ */
+export const hasState = (frame) => !!frame?.r && !!frame?.v && [...frame.r, ...frame.v].every(Number.isFinite);
+
+/** Columnar episode → [{ r, v, ... }] (for exporting back to JSON) */
+export function columnsToFrames(ep) {
+  return Array.from({ length: ep.length }, (_, i) => frameAt(ep, i));
+}
+
+/**
+ * Growable episode for streamed loads: append() columnar chunks, snapshot() returns
+ * a columnar episode of everything so far (views, no copy). Earlier snapshots stay valid.
+ */
+export function createEpisodeBuilder() {
+  let length = 0;
+  let capacity = 0;
+  let cols = {};
+
+  function grow(needed) {
+    if (needed <= capacity) return;
+    const next = Math.max(needed, capacity * 2, 1024);
+    for (const [field, col] of Object.entries(cols)) {
+      const bigger = new col.constructor(next * FIELD_SIZE[field]);
+      bigger.set(col.subarray(0, length * FIELD_SIZE[field]));
+      cols[field] = bigger;
+    }
+    capacity = next;
+  }
+
+  return {
+    append(chunk) {
+      if (capacity === 0) {
+        // first chunk: adopt its arrays as-is
+        cols = Object.fromEntries(Object.entries(chunk.cols).filter(([f]) => FIELD_SIZE[f]));
+        length = capacity = chunk.length;
+        return;
+      }
+      grow(length + chunk.length);
+      for (const field of new Set([...Object.keys(cols), ...Object.keys(chunk.cols)])) {
+        const size = FIELD_SIZE[field];
+        if (!size) continue;
+        const src = chunk.cols[field];
+        if (!cols[field]) {
+          cols[field] = new src.constructor(capacity * size);
+          cols[field].fill(NaN, 0, length * size);
+        }
+        if (src) cols[field].set(src.subarray(0, chunk.length * size), length * size);
+        else cols[field].fill(NaN, length * size, (length + chunk.length) * size);
+      }
+      length += chunk.length;
+    },
+    snapshot() {
+      const view = {};
+      for (const [field, col] of Object.entries(cols)) view[field] = col.subarray(0, length * FIELD_SIZE[field]);
+      return { length, cols: view };
+    },
+  };
+}
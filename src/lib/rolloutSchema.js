@@ -0,0 +1,153 @@
+// src/lib/rolloutSchema.js
+// Versioned rollout schema and the validator every loader runs frames through.
+//
+// A rollout may declare, next to `episodes` (JSON root, first NDJSON line or .orb header):
+//   schema_version: 1               — files without it are read as v1
+//   optional_fields: ["E", "H"]     — fields this exporter may leave out, so their absence is expected
+//
+// Frames missing a required field (or with a malformed one) are kept as placeholders holding
+// only `t` (NaN everywhere else in the columns), so frame indices still match the file, and are
+// reported with their episode and frame index; malformed optional fields are blanked and
+// reported. Fields the schema marks `expected` (used by the panels) only produce a warning when absent.
+
+export const ROLLOUT_SCHEMA_VERSION = 1;
+
+export const ROLLOUT_SCHEMA = Object.freeze({
+  r:         { type: "vec3", required: true },
+  v:         { type: "vec3", required: true },
+  thrust:    { type: "vec3", expected: true },
+  reward:    { type: "number", expected: true },
+  t:         { type: "number" },
+  E:         { type: "number" },
+  H:         { type: "vec3" },
+  pos_err:   { type: "number" },
+  v_rad:     { type: "number" },
+  v_tan:     { type: "number" },
+  v_circ:    { type: "number" },
+  v_tan_err: { type: "number" },
+});
+
+const MAX_ERRORS = 100;
+
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+
+function typeError(spec, val) {
+  if (spec.type === "number") return isNum(val) ? null : `expected a number, got ${JSON.stringify(val)}`;
+  if (!Array.isArray(val)) return `expected [x, y, z], got ${JSON.stringify(val)}`;
+  if (val.length !== 3) return `expected 3 components, got ${val.length}`;
+  return val.every(isNum) ? null : `expected finite numbers, got ${JSON.stringify(val)}`;
+}
+
+/**
+ * createRolloutValidator
+ * - frame(frame, ep, index) → the frame to keep: malformed optional fields blanked, or a placeholder
+ *   ({ t } / {}) when r or v is unusable
+ * - fail(ep, index, message) records a frame that could not even be parsed (the loader keeps {} in its place)
+ * - columns(episode, ep) checks an already columnar episode (.orb); NaN frames are reported
+ * - report(meta) → { version, declaredOptional, frames, invalid, errorCount, errors, warnings, notes }
+ *   (`invalid`: frames kept as placeholders because r or v is missing or malformed)
+ */
+export function createRolloutValidator() {
+  const errors = [];
+  let errorCount = 0;
+  let frames = 0;
+  let invalid = 0;
+  const present = Object.fromEntries(Object.keys(ROLLOUT_SCHEMA).map((f) => [f, 0]));
+  const unknown = new Set();
+
+  const error = (ep, index, field, message) => {
+    errorCount++;
+    if (errors.length < MAX_ERRORS) errors.push({ ep, frame: index, field, message });
+  };
+
+  return {
+    frame(frame, ep, index) {
+      frames++;
+      if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+        error(ep, index, null, "frame is not an object");
+        invalid++;
+        return {};
+      }
+      let out = frame;
+      let valid = true;
+      const found = [];
+      for (const [field, spec] of Object.entries(ROLLOUT_SCHEMA)) {
+        const val = frame[field];
+        if (val == null) {
+          if (spec.required) { error(ep, index, field, "missing required field"); valid = false; }
+          continue;
+        }
+        const problem = typeError(spec, val);
+        if (!problem) { found.push(field); continue; }
+        error(ep, index, field, problem);
+        if (spec.required) valid = false;
+        if (out === frame) out = { ...frame };
+        delete out[field];
+      }
+      for (const field of Object.keys(frame)) if (!ROLLOUT_SCHEMA[field]) unknown.add(field);
+      // No usable state: keep only the time stamp, everything else reads as NaN in the columns
+      if (!valid) { invalid++; return isNum(frame.t) ? { t: frame.t } : {}; }
+      for (const field of found) present[field]++;
+      return out;
+    },
+
+    fail(ep, index, message) {
+      frames++;
+      invalid++;
+      error(ep, index, null, message);
+    },
+
+    columns(episode, ep) {
+      frames += episode.length;
+      for (const field of Object.keys(ROLLOUT_SCHEMA)) {
+        const col = episode.cols[field];
+        const spec = ROLLOUT_SCHEMA[field];
+        if (!col) {
+          if (spec.required && episode.length) error(ep, null, field, "missing required column");
+          continue;
+        }
+        const size = spec.type === "vec3" ? 3 : 1;
+        for (let i = 0; i < episode.length; i++) {
+          if (Number.isNaN(col[i * size])) {
+            if (spec.required) error(ep, i, field, "missing required field");
+          } else present[field]++;
+        }
+      }
+      const { r, v } = episode.cols;
+      for (let i = 0; i < episode.length; i++) {
+        if (!r || !v || Number.isNaN(r[i * 3]) || Number.isNaN(v[i * 3])) invalid++;
+      }
+    },
+
+    report(meta = {}) {
+      const version = meta.schema_version ?? null;
+      const declaredOptional = Array.isArray(meta.optional_fields) ? meta.optional_fields : [];
+      const warnings = [];
+      const notes = [];
+      const valid = frames - invalid;
+
+      if (version == null) notes.push(`No schema_version declared — read as v${ROLLOUT_SCHEMA_VERSION}.`);
+      else if (!Number.isInteger(version) || version < 1) warnings.push(`Unrecognised schema_version ${JSON.stringify(version)} — read as v${ROLLOUT_SCHEMA_VERSION}.`);
+      else if (version > ROLLOUT_SCHEMA_VERSION) {
+        warnings.push(`Schema v${version} is newer than this viewer (v${ROLLOUT_SCHEMA_VERSION}); new fields are ignored.`);
+      }
+
+      const unknownDeclared = declaredOptional.filter((f) => !ROLLOUT_SCHEMA[f]);
+      if (unknownDeclared.length) warnings.push(`optional_fields lists unknown field(s): ${unknownDeclared.join(", ")}.`);
+
+      for (const [field, spec] of Object.entries(ROLLOUT_SCHEMA)) {
+        if (spec.required || declaredOptional.includes(field) || valid === 0) continue;
+        const missing = valid - present[field];
+        if (present[field] === 0 && spec.expected) {
+          warnings.push(`No \`${field}\` in any frame — panels that use it will be empty. Declare it in optional_fields if that is intended.`);
+        } else if (present[field] > 0 && missing > 0) {
+          warnings.push(`\`${field}\` missing in ${missing} of ${valid} frames.`);
+        }
+      }
+      if (unknown.size) notes.push(`Ignored unknown field(s): ${[...unknown].join(", ")}.`);
+      if (frames > 0 && valid === 0) warnings.unshift("No valid frames — nothing to display.");
+
+      return { version, declaredOptional, frames, invalid, errorCount, errors, warnings, notes };
+    },
+  };
+}
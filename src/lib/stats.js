@@ -0,0 +1,174 @@
+// src/lib/stats.js
+// Small descriptive statistics over per-episode values. Non-finite values (e.g. the capture
+// time of an episode that never captured) are skipped by every function.
+
+const finite = (values) => values.filter((x) => Number.isFinite(x));
+
+export function mean(values) {
+  const xs = finite(values);
+  return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null;
+}
+
+/** Sample standard deviation (n − 1); null below two values */
+export function std(values) {
+  const xs = finite(values);
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+/**
+ * Trailing moving average with a normal-approximation 95% confidence band of the windowed mean.
+ * values[i] → [{ mean, lo, hi, n }] (all null while the window holds no finite value)
+ */
+export function rollingStats(values, window = 10) {
+  const w = Math.max(1, Math.floor(window));
+  return values.map((_, i) => {
+    const xs = finite(values.slice(Math.max(0, i - w + 1), i + 1));
+    if (xs.length === 0) return { mean: null, lo: null, hi: null, n: 0 };
+    const m = mean(xs);
+    const half = xs.length > 1 ? (1.96 * std(xs)) / Math.sqrt(xs.length) : 0;
+    return { mean: m, lo: m - half, hi: m + half, n: xs.length };
+  });
+}
+
+/** Linear-interpolated quantile, q ∈ [0, 1] */
+export function quantile(values, q) {
+  const xs = finite(values).sort((a, b) => a - b);
+  if (xs.length === 0) return null;
+  const pos = (xs.length - 1) * Math.min(1, Math.max(0, q));
+  const lo = Math.floor(pos);
+  return xs[lo] + (xs[Math.min(lo + 1, xs.length - 1)] - xs[lo]) * (pos - lo);
+}
+
+export const median = (values) => quantile(values, 0.5);
+
+/** { n, mean, median, std, min, max } of the finite values */
+export function describe(values) {
+  const xs = finite(values);
+  return {
+    n: xs.length,
+    mean: mean(xs),
+    median: median(xs),
+    std: std(xs),
+    min: xs.length ? Math.min(...xs) : null,
+    max: xs.length ? Math.max(...xs) : null,
+  };
+}
+
+/** Deterministic PRNG (LCG) so resampled intervals and p-values don't flicker between renders */
+function rng(seed = 1) {
+  let s = seed >>> 0 || 1;
+  return () => (s = (s * 1664525 + 1013904223) >>> 0) / 2 ** 32;
+}
+
+/** Percentile bootstrap interval of stat(values): { lo, hi } (null below two values) */
+export function bootstrapCI(values, stat = mean, { iterations = 2000, alpha = 0.05, seed = 1 } = {}) {
+  const xs = finite(values);
+  if (xs.length < 2) return null;
+  const rand = rng(seed);
+  const sample = new Array(xs.length);
+  const stats = new Float64Array(iterations);
+  for (let k = 0; k < iterations; k++) {
+    for (let i = 0; i < xs.length; i++) sample[i] = xs[Math.floor(rand() * xs.length)];
+    stats[k] = stat(sample);
+  }
+  stats.sort();
+  return { lo: quantile(stats, alpha / 2), hi: quantile(stats, 1 - alpha / 2) };
+}
+
+/** Bootstrap interval of mean(b) − mean(a), resampling each group independently */
+export function bootstrapDiffCI(a, b, { iterations = 2000, alpha = 0.05, seed = 1 } = {}) {
+  const xa = finite(a), xb = finite(b);
+  if (xa.length < 2 || xb.length < 2) return null;
+  const rand = rng(seed);
+  const resampledMean = (xs) => {
+    let s = 0;
+    for (let i = 0; i < xs.length; i++) s += xs[Math.floor(rand() * xs.length)];
+    return s / xs.length;
+  };
+  const diffs = new Float64Array(iterations);
+  for (let k = 0; k < iterations; k++) diffs[k] = resampledMean(xb) - resampledMean(xa);
+  diffs.sort();
+  return { lo: quantile(diffs, alpha / 2), hi: quantile(diffs, 1 - alpha / 2) };
+}
+
+/** Two-sided permutation test on the difference of means: { diff: mean(b) − mean(a), p } */
+export function permutationTest(a, b, { iterations = 5000, seed = 1 } = {}) {
+  const xa = finite(a), xb = finite(b);
+  if (xa.length === 0 || xb.length === 0) return null;
+  const pooled = [...xa, ...xb];
+  const na = xa.length;
+  const observed = mean(xb) - mean(xa);
+  const total = pooled.reduce((s, x) => s + x, 0);
+  const rand = rng(seed);
+  let extreme = 0;
+  for (let k = 0; k < iterations; k++) {
+    // Partial Fisher–Yates: the first na slots become group a
+    let sa = 0;
+    for (let i = 0; i < na; i++) {
+      const j = i + Math.floor(rand() * (pooled.length - i));
+      [pooled[i], pooled[j]] = [pooled[j], pooled[i]];
+      sa += pooled[i];
+    }
+    const diff = (total - sa) / xb.length - sa / na;
+    if (Math.abs(diff) >= Math.abs(observed) - 1e-12) extreme++;
+  }
+  return { diff: observed, p: (extreme + 1) / (iterations + 1) };
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 via erf)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/** Two-sided critical value z with P(|Z| > z) = alpha (bisection on the normal CDF) */
+export function zCritical(alpha = 0.05) {
+  let lo = 0, hi = 10;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (2 * (1 - normalCdf(mid)) > alpha) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Mann–Whitney U test (two-sided, normal approximation with tie correction):
+ * { U, z, p, effect } — U counts pairs where b beats a; effect = U / (na·nb), P(b > a) + ½P(tie)
+ */
+export function mannWhitney(a, b) {
+  const xa = finite(a), xb = finite(b);
+  const na = xa.length, nb = xb.length;
+  if (na === 0 || nb === 0) return null;
+  const all = [...xa.map((x) => [x, 0]), ...xb.map((x) => [x, 1])].sort((p, q) => p[0] - q[0]);
+  const n = all.length;
+  let rankSumB = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j + 1 < n && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j + 2) / 2; // average of ranks i+1 … j+1
+    for (let k = i; k <= j; k++) if (all[k][1] === 1) rankSumB += rank;
+    const t = j - i + 1;
+    tieTerm += t * t * t - t;
+    i = j + 1;
+  }
+  const U = rankSumB - (nb * (nb + 1)) / 2;
+  const mu = (na * nb) / 2;
+  const sigma = Math.sqrt(((na * nb) / 12) * (n + 1 - tieTerm / (n * (n - 1) || 1)));
+  const z = sigma > 0 ? (U - mu - Math.sign(U - mu) * 0.5) / sigma : 0;
+  return { U, z, p: sigma > 0 ? Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) : 1, effect: U / (na * nb) };
+}
+
+/** Wilson score interval of a proportion k / n: { rate, lo, hi } */
+export function proportionCI(k, n, z = 1.96) {
+  if (n === 0) return { rate: null, lo: null, hi: null };
+  const p = k / n;
+  const denom = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return { rate: p, lo: Math.max(0, centre - half), hi: Math.min(1, centre + half) };
+}
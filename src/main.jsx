@@ -5,6 +5,6 @@ import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <App rolloutUrl="/rollouts/run_ppo.json" planetsUrl="/planets.json" />
+    <App manifestUrl="/rollouts/manifest.json" planetsUrl="/planets.json" />
   </React.StrictMode>
 );
\ No newline at end of file
@@ -0,0 +1,34 @@
+// src/workers/metrics.worker.js
+// Runs the per-episode analytics pass (src/lib/analytics.js) off the main thread.
+// Episodes are registered once per file and only re-sent when they change (streaming),
+// results are cached per episode and config so re-tuning thresholds only recomputes misses.
+//
+// in:  { type: "episodes", key, count, changed: [{ index, episode }] }
+//      { type: "compute", key, config }
+// out: { type: "metrics", key, configKey, metrics }
+import { analyzeEpisode } from "../lib/analytics.js";
+
+const store = new Map(); // key → { episodes: [], cache: Map(configKey → WeakMap(episode → metrics)) }
+
+function entry(key) {
+  if (!store.has(key)) store.set(key, { episodes: [], cache: new Map() });
+  return store.get(key);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  const s = entry(msg.key);
+  if (msg.type === "episodes") {
+    s.episodes.length = msg.count;
+    for (const { index, episode } of msg.changed) s.episodes[index] = episode;
+  } else if (msg.type === "compute") {
+    const configKey = JSON.stringify(msg.config);
+    if (!s.cache.has(configKey)) s.cache.set(configKey, new WeakMap());
+    const cache = s.cache.get(configKey);
+    const metrics = s.episodes.map((ep) => {
+      if (!cache.has(ep)) cache.set(ep, analyzeEpisode(ep, msg.config));
+      return cache.get(ep);
+    });
+    self.postMessage({ type: "metrics", key: msg.key, configKey, metrics });
+  }
+};
@@ -0,0 +1,225 @@
+// src/workers/rolloutLoader.worker.js
+// Fetches a rollout off the main thread and streams it back as columnar chunks
+// (see src/lib/rolloutColumns.js), so playback can start before the whole file has arrived.
+//
+// Formats:
+//  - json:   { "schema_version"?, "episodes": [[frame, ...], ...] }  (scanned frame by frame, never parsed in one piece)
+//  - ndjson: one frame per line, `ep` = episode index (default 0); an optional first line holds the schema meta
+//  - bin:    columnar .orb file (src/lib/rolloutBinary.js), decoded once fully downloaded
+//
+// Every frame goes through the rollout schema validator (src/lib/rolloutSchema.js); invalid frames
+// stay in place as NaN placeholders (so frame indices match the file) and are listed in the
+// report sent with "done".
+//
+// in:  { url, format? }                     — json/ndjson is sniffed from the first line when omitted
+// out: { type: "chunk", batches: [{ ep, chunk: { length, cols } }], loaded, total }
+//      { type: "done", loaded, total, report }
+//      { type: "error", message }
+import { framesToColumns } from "../lib/rolloutColumns.js";
+import { decodeRolloutBinary, decodeRolloutBinaryMeta } from "../lib/rolloutBinary.js";
+import { createRolloutValidator } from "../lib/rolloutSchema.js";
+
+const FLUSH_MS = 100;
+
+const transferables = (batches) => batches.flatMap((b) => Object.values(b.chunk.cols).map((c) => c.buffer));
+
+/**
+ * Splits the regular rollout JSON into frames: root { → episodes [ → episode [ → frame {.
+ * Everything else in the root object is kept (with `episodes` emptied) and parsed by push.meta().
+ */
+function createJsonScanner(onEpisode, onFrame, onBadFrame) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let inFrame = false;
+  let pending = "";
+  let inEpisodes = false;
+  let rootText = "";
+  let key = ""; // last string seen directly in the root object
+
+  function push(chunk) {
+    let frameStart = inFrame ? 0 : -1;
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (stack.length > 0 && !inEpisodes) rootText += c;
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === "\\") escaped = true;
+        else if (c === '"') inString = false;
+        else if (stack.length === 1) key += c;
+        continue;
+      }
+      if (c === '"') { inString = true; if (stack.length === 1) key = ""; continue; }
+      if (c === "{" || c === "[") {
+        if (stack.length === 0) rootText = c;
+        if (stack.length === 1 && c === "[" && key === "episodes") inEpisodes = true;
+        stack.push(c);
+        if (stack.length === 3 && c === "[" && stack[1] === "[") onEpisode();
+        if (stack.length === 4 && c === "{" && stack[2] === "[" && stack[1] === "[") {
+          inFrame = true;
+          frameStart = i;
+        }
+      } else if (c === "}" || c === "]") {
+        if (inFrame && stack.length === 4) {
+          let frame;
+          try {
+            frame = JSON.parse(pending + chunk.slice(frameStart, i + 1));
+          } catch (err) {
+            onBadFrame(`malformed frame JSON (${err.message})`);
+          }
+          if (frame !== undefined) onFrame(frame);
+          pending = "";
+          inFrame = false;
+        }
+        stack.pop();
+        if (inEpisodes && stack.length === 1) { inEpisodes = false; rootText += "]"; }
+      }
+    }
+    if (inFrame) pending += chunk.slice(frameStart);
+  }
+  push.meta = () => {
+    try { return JSON.parse(rootText); } catch { return {}; }
+  };
+  return push;
+}
+
+const isMetaLine = (obj) => obj.r == null && obj.v == null && ("schema_version" in obj || "optional_fields" in obj);
+
+// onBadLine(message, ep): `ep` is where the line most likely belonged (the episode of the frame
+// line before it) for unparseable lines, null for lines that can't be placed at all
+function createNdjsonScanner(onFrame, onBadLine) {
+  let rest = "";
+  let lineNo = 0;
+  let meta = {};
+  let lastEp = 0;
+  const line = (text) => {
+    lineNo++;
+    const s = text.trim();
+    if (!s) return;
+    let obj;
+    try {
+      obj = JSON.parse(s);
+    } catch (err) {
+      onBadLine(`line ${lineNo}: malformed JSON (${err.message})`, lastEp);
+      return;
+    }
+    if (obj && typeof obj === "object" && lineNo === 1 && isMetaLine(obj)) { meta = obj; return; }
+    const { ep = 0, ...frame } = obj || {};
+    if (!Number.isInteger(ep) || ep < 0) onBadLine(`line ${lineNo}: invalid episode index ${JSON.stringify(ep)}`, null);
+    else {
+      lastEp = ep;
+      onFrame(frame, ep);
+    }
+  };
+  const push = (chunk) => {
+    const lines = (rest + chunk).split("\n");
+    rest = lines.pop();
+    lines.forEach(line);
+  };
+  push.end = () => { line(rest); rest = ""; };
+  push.meta = () => meta;
+  return push;
+}
+
+function sniffFormat(firstChunk) {
+  const nl = firstChunk.indexOf("\n");
+  const first = (nl >= 0 ? firstChunk.slice(0, nl) : "").trim();
+  return first.startsWith("{") && first.endsWith("}") && !first.includes('"episodes"') ? "ndjson" : "json";
+}
+
+async function loadBinary(res, total) {
+  const parts = [];
+  let loaded = 0;
+  let lastFlush = performance.now();
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    loaded += value.byteLength;
+    if (performance.now() - lastFlush > FLUSH_MS) {
+      self.postMessage({ type: "chunk", batches: [], loaded, total });
+      lastFlush = performance.now();
+    }
+  }
+  const bytes = new Uint8Array(loaded);
+  let at = 0;
+  for (const p of parts) { bytes.set(p, at); at += p.byteLength; }
+
+  const validator = createRolloutValidator();
+  const episodes = decodeRolloutBinary(bytes);
+  episodes.forEach((ep, k) => validator.columns(ep, k));
+
+  // Views share one buffer: copy per column so each can be transferred on its own
+  const batches = episodes.map((ep, k) => ({
+    ep: k,
+    chunk: { length: ep.length, cols: Object.fromEntries(Object.entries(ep.cols).map(([f, c]) => [f, c.slice()])) },
+  }));
+  self.postMessage({ type: "chunk", batches, loaded, total }, transferables(batches));
+  self.postMessage({ type: "done", loaded, total, report: validator.report(decodeRolloutBinaryMeta(bytes)) });
+}
+
+async function load({ url, format }) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to fetch rollout: ${res.status}`);
+  const total = Number(res.headers.get("content-length")) || null;
+  if (format === "bin") return loadBinary(res, total);
+
+  let loaded = 0;
+  let batches = [];
+  let lastFlush = performance.now();
+  const flush = () => {
+    const packed = batches.map(({ ep, frames }) => ({ ep, chunk: framesToColumns(frames) }));
+    self.postMessage({ type: "chunk", batches: packed, loaded, total }, transferables(packed));
+    batches = [];
+    lastFlush = performance.now();
+  };
+  const validator = createRolloutValidator();
+  const seen = []; // frames read per episode, for error positions
+  const place = (frame, ep) => {
+    seen[ep] = (seen[ep] ?? 0) + 1;
+    const last = batches[batches.length - 1];
+    if (last && last.ep === ep) last.frames.push(frame);
+    else batches.push({ ep, frames: [frame] });
+  };
+  const add = (raw, ep) => place(validator.frame(raw, ep, seen[ep] ?? 0), ep);
+
+  let epCount = -1;
+  let push = null;
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    const text = decoder.decode(value, { stream: true });
+    if (!push) {
+      push = (format || sniffFormat(text)) === "ndjson"
+        ? createNdjsonScanner(add, (message, ep) => {
+          if (ep == null) return validator.fail(null, null, message);
+          // Same as an unparseable JSON frame: report it and hold its index
+          validator.fail(ep, seen[ep] ?? 0, message);
+          place({}, ep);
+        })
+        : createJsonScanner(
+          () => { epCount++; },
+          (frame) => add(frame, epCount),
+          (message) => {
+            // Unparseable frame: report it and hold its index with an empty placeholder
+            validator.fail(epCount, seen[epCount] ?? 0, message);
+            place({}, epCount);
+          }
+        );
+    }
+    push(text);
+    if (performance.now() - lastFlush > FLUSH_MS) flush();
+  }
+  push?.(decoder.decode());
+  push?.end?.();
+  flush();
+  self.postMessage({ type: "done", loaded, total, report: validator.report(push?.meta() || {}) });
+}
+
+self.onmessage = (e) => {
+  load(e.data).catch((err) => self.postMessage({ type: "error", message: String(err?.message || err) }));
+};
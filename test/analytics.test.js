@@ -0,0 +1,57 @@
+// test/analytics.test.js
+// analyzeEpisode against the bundled rollouts (public/rollouts). Run with `npm test`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { readColumnarEpisodes } from "../scripts/rollout-io.js";
+import { analyzeEpisode } from "../src/lib/analytics.js";
+
+const rollout = (name) => readColumnarEpisodes(fileURLToPath(new URL(`../public/rollouts/${name}`, import.meta.url)));
+const count = (m, type) => m.events.filter((ev) => ev.type === type).length;
+
+test("run_01: capture, time in tolerance and thrust events", () => {
+  const [ep] = rollout("run_01.json");
+  const m = analyzeEpisode(ep);
+  assert.equal(m.len, 800);
+  assert.equal(m.firstInTol, 0);
+  assert.equal(m.capturedAt, 579);
+  assert.equal(m.pctInTol, 333 / 800);
+  assert.deepEqual(m.inTolRanges, [[0, 111], [579, 799]]);
+  assert.equal(count(m, "thrust"), 389);
+  assert.equal(count(m, "entered_tol"), 1);
+  assert.equal(count(m, "in_tol"), 2);
+  assert.equal(m.tooCloseAt, null);
+  assert.equal(m.escapedAt, null);
+});
+
+test("run_ppo: capture, time in tolerance and thrust events", () => {
+  const [ep] = rollout("run_ppo.json");
+  const m = analyzeEpisode(ep);
+  assert.equal(m.len, 1200);
+  assert.equal(m.capturedAt, 347);
+  assert.equal(m.pctInTol, 617 / 1200);
+  assert.deepEqual(m.inTolRanges, [[0, 74], [347, 778], [847, 956]]);
+  assert.equal(count(m, "thrust"), 1071);
+  assert.equal(count(m, "entered_tol"), 1);
+  assert.equal(count(m, "too_close") + count(m, "escape"), 0);
+});
+
+test("run_ppo: too-close and escape events at each boundary crossing", () => {
+  const [ep] = rollout("run_ppo.json");
+  // The bundled runs stay within 0.88–1.10, so tighten the boundaries around the target orbit
+  const m = analyzeEpisode(ep, { tooCloseR: 0.98, escapeR: 1.02 });
+  const crossings = m.events.filter((ev) => ev.type === "too_close" || ev.type === "escape");
+  assert.deepEqual(crossings.map((ev) => [ev.type, ev.t]), [["too_close", 0], ["too_close", 742], ["escape", 912]]);
+  assert.equal(m.tooCloseAt, 0);
+  assert.equal(m.escapedAt, 912);
+  assert.ok(crossings.every((ev) => (ev.type === "escape" ? ev.r > 1.02 : ev.r < 0.98)));
+});
+
+test("thrust events follow the thrustSpike threshold", () => {
+  const [ep] = rollout("run_01.json");
+  const all = analyzeEpisode(ep, { thrustSpike: 0 });
+  const none = analyzeEpisode(ep, { thrustSpike: Infinity });
+  assert.equal(count(none, "thrust"), 0);
+  assert.ok(count(all, "thrust") > 389);
+  assert.ok(analyzeEpisode(ep).events.filter((ev) => ev.type === "thrust").every((ev) => ev.mag > 0.02));
+});
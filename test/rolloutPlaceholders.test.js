@@ -0,0 +1,50 @@
+// test/rolloutPlaceholders.test.js
+// Frames with an unusable state stay in place (as the loader worker keeps them) and read as "no state".
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRolloutValidator } from "../src/lib/rolloutSchema.js";
+import { framesToColumns, frameAt, hasState } from "../src/lib/rolloutColumns.js";
+import { analyzeEpisode } from "../src/lib/analytics.js";
+
+const BAD = 5;
+
+// First 10 frames of run_01.json with frame BAD's `r` broken, written out as a rollout file
+function writeRollout() {
+  const src = JSON.parse(fs.readFileSync(fileURLToPath(new URL("../public/rollouts/run_01.json", import.meta.url)), "utf8"));
+  const frames = src.episodes[0].slice(0, 10);
+  frames[BAD] = { ...frames[BAD], r: [1, "oops", 0] };
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "rollout-")), "bad.json");
+  fs.writeFileSync(file, JSON.stringify({ schema_version: 1, episodes: [frames] }));
+  return { file, frames };
+}
+
+test("a frame with a malformed r is kept as a placeholder and frameAt walks across it", () => {
+  const { file, frames } = writeRollout();
+  const raw = JSON.parse(fs.readFileSync(file, "utf8")).episodes[0];
+  const validator = createRolloutValidator();
+  const ep = framesToColumns(raw.map((f, i) => validator.frame(f, 0, i)));
+  const report = validator.report();
+
+  assert.equal(ep.length, frames.length);
+  assert.equal(report.invalid, 1);
+  assert.deepEqual(report.errors.map((e) => [e.ep, e.frame, e.field]), [[0, BAD, "r"]]);
+
+  for (let i = 0; i < ep.length; i++) {
+    const frame = frameAt(ep, i);
+    assert.equal(frame.t, frames[i].t, `t of frame ${i}`);
+    if (i === BAD) {
+      assert.equal(hasState(frame), false);
+      assert.equal(frame.r, undefined);
+      assert.equal(frame.v, undefined);
+    } else {
+      assert.equal(hasState(frame), true, `frame ${i} has a state`);
+      assert.deepEqual(frame.r, frames[i].r);
+    }
+  }
+  assert.equal(hasState(null), false);
+  assert.equal(analyzeEpisode(ep).len, frames.length);
+});
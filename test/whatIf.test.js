@@ -0,0 +1,46 @@
+// test/whatIf.test.js
+// What-if ghost vs the recording it is forked from, under a mission that differs from the training env.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrbitalEnv, initialState } from "../src/lib/orbitalEnv.js";
+import { framesToColumns } from "../src/lib/rolloutColumns.js";
+import { propagateWhatIf, rescoreEpisode } from "../src/lib/propagator.js";
+import { analyzeEpisode, resolveConfig } from "../src/lib/analytics.js";
+
+// A recording from the JS environment with its default target and reward weights
+function record(steps = 400) {
+  const env = createOrbitalEnv({ maxSteps: steps, actionScale: "raw" });
+  env.reset(initialState({ radius: 1.05, speedFactor: 0.98 }));
+  const frames = [];
+  for (let k = 0; k < steps; k++) {
+    const { frame, done } = env.step([0.004 * Math.sin(k / 20), 0.006, -0.002]);
+    frames.push(frame);
+    if (done) break;
+  }
+  return framesToColumns(frames);
+}
+
+const mission = { rTarget: 1.2, weights: { w_pos: 3, w_vel: 0.1, w_fuel: 1 } };
+
+test("as-recorded thrust gives Δ = 0 under a non-default mission", () => {
+  const ep = record();
+  const config = resolveConfig({ rTarget: mission.rTarget });
+  const ghost = propagateWhatIf(ep, { from: 150, thrust: "recorded", ...mission });
+  const recorded = analyzeEpisode(rescoreEpisode(ep, mission), config);
+  const replay = analyzeEpisode(ghost, config);
+
+  assert.equal(replay.rewardSum - recorded.rewardSum, 0);
+  assert.equal(replay.fuelSum - recorded.fuelSum, 0);
+  assert.equal(replay.capturedAt, recorded.capturedAt);
+  // The logged reward was scored by the env's own target and weights, so it is not the baseline
+  assert.notEqual(analyzeEpisode(ep, config).rewardSum, recorded.rewardSum);
+});
+
+test("edited thrust after the fork changes the return", () => {
+  const ep = record();
+  const config = resolveConfig({ rTarget: mission.rTarget });
+  const recorded = analyzeEpisode(rescoreEpisode(ep, mission), config);
+  const coast = analyzeEpisode(propagateWhatIf(ep, { from: 150, thrust: "zero", ...mission }), config);
+  assert.notEqual(coast.rewardSum, recorded.rewardSum);
+  assert.ok(coast.fuelSum < recorded.fuelSum);
+});
@@ -8,4 +8,8 @@ export default {
       },
     },
   },
-};
\ No newline at end of file
+  // onnxruntime-web locates its .wasm next to its own module; pre-bundling would move it
+  optimizeDeps: {
+    exclude: ["onnxruntime-web"],
+  },
+};